@@ -0,0 +1,134 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Flame } from 'lucide-react';
+import { useStudy } from '../../context/StudyContext';
+
+const LEVEL_CLASSES = [
+  'bg-gray-100 dark:bg-gray-800',
+  'bg-primary-200 dark:bg-primary-900',
+  'bg-primary-400 dark:bg-primary-700',
+  'bg-primary-500 dark:bg-primary-500',
+  'bg-primary-700 dark:bg-primary-300',
+];
+
+const WEEKDAY_LABELS = ['Mon', '', 'Wed', '', 'Fri', '', ''];
+
+// Day keys are plain calendar dates, so read them as UTC
+const parseDay = (dayKey) => new Date(`${dayKey}T00:00:00Z`);
+
+// GitHub-style contribution grid: one column per week, Monday on top
+const ActivityHeatmap = ({ year, subject }) => {
+  const { fetchHeatmap } = useStudy();
+  const [heatmap, setHeatmap] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchHeatmap({ year, subject }).then((data) => {
+      if (!cancelled) {
+        setHeatmap(data);
+        setLoading(false);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchHeatmap, year, subject]);
+
+  const weeks = useMemo(() => {
+    if (!heatmap) return [];
+
+    // Pad the first week so every column starts on a Monday
+    const offset = (parseDay(heatmap.startDate).getUTCDay() + 6) % 7;
+    const cells = [...Array(offset).fill(null), ...heatmap.days];
+
+    const columns = [];
+    for (let i = 0; i < cells.length; i += 7) {
+      columns.push(cells.slice(i, i + 7));
+    }
+    return columns;
+  }, [heatmap]);
+
+  const monthLabels = useMemo(() => {
+    let lastMonth = null;
+    return weeks.map((week) => {
+      const firstDay = week.find(Boolean);
+      if (!firstDay) return '';
+      const month = parseDay(firstDay.date).getUTCMonth();
+      if (month === lastMonth) return '';
+      lastMonth = month;
+      return parseDay(firstDay.date).toLocaleDateString('en', { month: 'short', timeZone: 'UTC' });
+    });
+  }, [weeks]);
+
+  if (loading) {
+    return <div className="h-36 rounded-2xl bg-gray-100 dark:bg-gray-800 animate-pulse" />;
+  }
+
+  if (!heatmap) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400">
+        Couldn&apos;t load your study activity.
+      </p>
+    );
+  }
+
+  return (
+    <div className="rounded-2xl bg-white dark:bg-gray-800/60 p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="flex items-center gap-2 font-semibold text-gray-900 dark:text-white">
+          <Flame className="w-4 h-4 text-primary-500" />
+          Study activity
+        </h3>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          {Math.round((heatmap.totalMinutes / 60) * 10) / 10}h over {heatmap.activeDays} days
+        </span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="inline-flex gap-2">
+          <div className="flex flex-col gap-[3px] pt-4 text-[10px] text-gray-400">
+            {WEEKDAY_LABELS.map((label, i) => (
+              <span key={i} className="h-3 leading-3">{label}</span>
+            ))}
+          </div>
+
+          <div>
+            <div className="flex gap-[3px] h-4 text-[10px] text-gray-400">
+              {monthLabels.map((label, i) => (
+                <span key={i} className="w-3 overflow-visible whitespace-nowrap">{label}</span>
+              ))}
+            </div>
+            <div className="flex gap-[3px]">
+              {weeks.map((week, i) => (
+                <div key={i} className="flex flex-col gap-[3px]">
+                  {week.map((day, j) =>
+                    day ? (
+                      <div
+                        key={day.date}
+                        title={`${day.minutes} min, ${day.sessions} session${day.sessions === 1 ? '' : 's'} on ${day.date}`}
+                        className={`w-3 h-3 rounded-sm ${LEVEL_CLASSES[day.level]}`}
+                      />
+                    ) : (
+                      <div key={`pad-${j}`} className="w-3 h-3" />
+                    )
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-end gap-1 mt-3 text-[10px] text-gray-400">
+        <span>Less</span>
+        {LEVEL_CLASSES.map((className, level) => (
+          <div key={level} className={`w-3 h-3 rounded-sm ${className}`} />
+        ))}
+        <span>More</span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
@@ -0,0 +1,96 @@
+import { useEffect, useState } from 'react';
+import { CalendarCheck } from 'lucide-react';
+import { useStudy } from '../../context/StudyContext';
+
+const STATUS_STYLES = {
+  done: { label: 'Done', className: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' },
+  late: { label: 'Late', className: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300' },
+  partial: { label: 'Partial', className: 'bg-orange-100 text-orange-700 dark:bg-orange-900/40 dark:text-orange-300' },
+  missed: { label: 'Missed', className: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300' },
+  in_progress: { label: 'Now', className: 'bg-primary-100 text-primary-700 dark:bg-primary-900/40 dark:text-primary-300' },
+  upcoming: { label: 'Upcoming', className: 'bg-gray-100 text-gray-600 dark:bg-gray-800 dark:text-gray-300' },
+};
+
+const formatPercent = (percent) => (percent === null ? '–' : `${percent}%`);
+
+// Today's timetable slots with how each one went, plus this week's score
+const TimetableAdherence = () => {
+  const { fetchAdherence, studyData } = useStudy();
+  const [adherence, setAdherence] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchAdherence().then((data) => {
+      if (!cancelled) {
+        setAdherence(data);
+        setLoading(false);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+    // Refresh when sessions are completed or the timetable changes
+  }, [fetchAdherence, studyData.completedSubjects, studyData.activeTimetable]);
+
+  if (loading) {
+    return <div className="h-40 rounded-2xl bg-gray-100 dark:bg-gray-800 animate-pulse" />;
+  }
+
+  if (!adherence) return null;
+
+  const today = adherence.days[adherence.days.length - 1];
+  const week = adherence.weeks[adherence.weeks.length - 1];
+
+  return (
+    <div className="rounded-2xl bg-white dark:bg-gray-800/60 p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="flex items-center gap-2 font-semibold text-gray-900 dark:text-white">
+          <CalendarCheck className="w-4 h-4 text-primary-500" />
+          Timetable adherence
+        </h3>
+        <span className="text-xs text-gray-500 dark:text-gray-400">{adherence.timetable.name}</span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 mb-4">
+        <div className="rounded-xl bg-gray-50 dark:bg-gray-900/40 p-3">
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatPercent(today?.percent ?? null)}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">Today</p>
+        </div>
+        <div className="rounded-xl bg-gray-50 dark:bg-gray-900/40 p-3">
+          <p className="text-2xl font-bold text-gray-900 dark:text-white">{formatPercent(week?.percent ?? null)}</p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">This week</p>
+        </div>
+      </div>
+
+      {today?.slots.length ? (
+        <ul className="space-y-2">
+          {today.slots.map((slot) => {
+            const style = STATUS_STYLES[slot.status];
+            return (
+              <li key={slot.slotId} className="flex items-center justify-between text-sm">
+                <div className="min-w-0">
+                  <span className="font-medium text-gray-900 dark:text-white">{slot.time}</span>
+                  <span className="ml-2 text-gray-600 dark:text-gray-300 truncate">{slot.subject}</span>
+                </div>
+                <div className="flex items-center gap-2 shrink-0">
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {slot.studiedMinutes}/{slot.duration} min
+                  </span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${style.className}`}>
+                    {style.label}
+                  </span>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Nothing scheduled today.</p>
+      )}
+    </div>
+  );
+};
+
+export default TimetableAdherence;
@@ -5,6 +5,15 @@ import toast from 'react-hot-toast';
 const AuthContext = createContext();
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
 
+// IANA timezone of the browser, e.g. "Europe/Berlin"
+const detectTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+  } catch {
+    return null;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -27,10 +36,25 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Save the browser timezone for users who have none yet, so the server
+  // splits days and sends reminders on the user's local clock
+  const syncTimezone = async (userData) => {
+    const timezone = detectTimezone();
+    if (!timezone || !userData || userData.preferences?.timezone) return;
+
+    try {
+      const response = await axios.put(`${API_URL}/api/user/preferences`, { timezone });
+      setUser(prev => (prev ? { ...prev, preferences: response.data } : prev));
+    } catch (error) {
+      console.error('Sync timezone error:', error);
+    }
+  };
+
   const fetchUser = async () => {
     try {
       const response = await axios.get(`${API_URL}/api/auth/me`);
       setUser(response.data);
+      syncTimezone(response.data);
     } catch (error) {
       console.error('Fetch user error:', error);
       localStorage.removeItem('token');
@@ -45,6 +69,7 @@ export const AuthProvider = ({ children }) => {
     if (token) {
       localStorage.setItem('token', token);
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      syncTimezone(userData);
     }
   };
 
@@ -56,6 +81,7 @@ export const AuthProvider = ({ children }) => {
       localStorage.setItem('token', token);
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       setUser(userData);
+      syncTimezone(userData);
 
       if (requiresVerification) {
         toast.success('Please verify your email to access all features');
@@ -79,6 +105,7 @@ export const AuthProvider = ({ children }) => {
       localStorage.setItem('token', token);
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
       setUser(newUser);
+      syncTimezone(newUser);
 
       if (requiresVerification) {
         toast.success('Account created! Please check your email for verification.');
@@ -112,6 +139,54 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Only the fields sent are changed, e.g.
+  // updatePreferences({ weeklyDigest: { enabled: true, day: 'sunday' } })
+  const updatePreferences = async (preferences) => {
+    try {
+      const response = await axios.put(`${API_URL}/api/user/preferences`, preferences);
+      setUser(prev => (prev ? { ...prev, preferences: response.data } : prev));
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to update preferences';
+      toast.error(message);
+      throw error;
+    }
+  };
+
+  // Calendar feed: { enabled, url }. Regenerating replaces the URL, so
+  // calendar apps subscribed to the old one stop receiving updates.
+  const fetchCalendarFeed = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/user/calendar-feed`);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to fetch calendar feed:', error);
+      return null;
+    }
+  };
+
+  const regenerateCalendarFeed = async () => {
+    try {
+      const response = await axios.post(`${API_URL}/api/user/calendar-feed`);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to regenerate calendar feed';
+      toast.error(message);
+      throw error;
+    }
+  };
+
+  const revokeCalendarFeed = async () => {
+    try {
+      const response = await axios.delete(`${API_URL}/api/user/calendar-feed`);
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Failed to revoke calendar feed';
+      toast.error(message);
+      throw error;
+    }
+  };
+
   const value = {
     user,
     loading,
@@ -119,7 +194,11 @@ export const AuthProvider = ({ children }) => {
     register,
     logout,
     setAuthData,
-    refreshUser
+    refreshUser,
+    updatePreferences,
+    fetchCalendarFeed,
+    regenerateCalendarFeed,
+    revokeCalendarFeed
   };
 
   return (
@@ -72,10 +72,28 @@ export const SocketProvider = ({ children }) => {
         });
       });
 
+      newSocket.on('study:phase_changed', (data) => {
+        const messages = {
+          work: `Focus time: ${data.subject}`,
+          short_break: 'Short break, stretch a little',
+          long_break: 'Long break, you earned it',
+          done: `All ${data.totalIntervals} intervals done: ${data.subject}`,
+        };
+        toast(messages[data.to] || `Next phase: ${data.to}`, {
+          icon: data.to === 'work' ? '🎯' : data.to === 'done' ? '✅' : '☕',
+        });
+      });
+
       // Notification events
       newSocket.on('notification', (notification) => {
+        const icons = {
+          study_reminder: '📚',
+          goal_met: '🎯',
+          goal_behind: '⏳',
+          event_reminder: '⏰',
+        };
         toast(notification.message, {
-          icon: notification.type === 'study_reminder' ? '📚' : '🔔',
+          icon: icons[notification.type] || '🔔',
           duration: 5000,
         });
       });
@@ -24,7 +24,10 @@ export const StudyProvider = ({ children }) => {
     timetables: [],
     activeTimetable: null,
     notes: [],
-    completedSubjects: []
+    completedSubjects: [],
+    todaySchedule: null,
+    goals: [],
+    subjects: []
   });
 
   const [activeSessions, setActiveSessions] = useState([]);
@@ -58,9 +61,11 @@ export const StudyProvider = ({ children }) => {
     }
 
     try {
-      const [dashboardRes, timetableRes] = await Promise.all([
+      const [dashboardRes, timetableRes, scheduleRes] = await Promise.all([
         axios.get(`${API_URL}/api/study/dashboard`),
-        axios.get(`${API_URL}/api/study/timetables`)
+        axios.get(`${API_URL}/api/study/timetables`),
+        // Today's slots with date overrides applied; 404 without an active timetable
+        axios.get(`${API_URL}/api/study/timetables/schedule`).catch(() => null)
       ]);
 
       const active = timetableRes.data.find(t => t.isActive);
@@ -68,7 +73,8 @@ export const StudyProvider = ({ children }) => {
         ...prev,
         ...dashboardRes.data,
         timetables: timetableRes.data,
-        activeTimetable: active
+        activeTimetable: active,
+        todaySchedule: scheduleRes?.data.days[0]?.slots ?? null
       }));
 
       setLastFetchTime(now);
@@ -131,11 +137,483 @@ export const StudyProvider = ({ children }) => {
     }
   };
 
-  const startStudySession = async (subject, targetTime = 3600) => {
+  // bucket: 'day' | 'week' | 'month'; startDate/endDate override period
+  const fetchAnalytics = async (period = 'week', { subject, startDate, endDate, bucket } = {}) => {
+    try {
+      const params = new URLSearchParams({ period });
+      if (subject) params.append('subject', subject);
+      if (startDate && endDate) {
+        params.append('startDate', startDate);
+        params.append('endDate', endDate);
+      }
+      if (bucket) params.append('bucket', bucket);
+
+      const res = await axios.get(`${API_URL}/api/study/analytics?${params.toString()}`);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch analytics:', err);
+      return null;
+    }
+  };
+
+  // Daily minutes for a contribution grid; no year means the last 365 days
+  const fetchHeatmap = useCallback(async ({ year, subject } = {}) => {
+    try {
+      const params = new URLSearchParams();
+      if (year) params.append('year', year);
+      if (subject) params.append('subject', subject);
+
+      const res = await axios.get(`${API_URL}/api/calendar/heatmap?${params.toString()}`);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch heatmap:', err);
+      return null;
+    }
+  }, [API_URL]);
+
+  // Slot-by-slot timetable adherence; defaults to this week so far.
+  // Resolves to null when there is no active timetable.
+  const fetchAdherence = useCallback(async ({ start, end } = {}) => {
+    try {
+      const params = new URLSearchParams();
+      if (start) params.append('start', start);
+      if (end) params.append('end', end);
+
+      const res = await axios.get(`${API_URL}/api/study/timetables/adherence?${params.toString()}`);
+      return res.data;
+    } catch (err) {
+      if (err.response?.status !== 404) {
+        console.error('Failed to fetch adherence:', err);
+      }
+      return null;
+    }
+  }, [API_URL]);
+
+  // Upcoming exams with countdowns, revision plans and behind-schedule
+  // warnings. A revision target is set on the exam event itself:
+  // revision: { targetHours, startDate }.
+  const fetchExams = async (days) => {
+    try {
+      const params = new URLSearchParams();
+      if (days) params.append('days', days);
+
+      const res = await axios.get(`${API_URL}/api/calendar/exams?${params.toString()}`);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch exams:', err);
+      return null;
+    }
+  };
+
+  // Check a day-wise schedule before saving. Returns { valid, errors,
+  // eventConflicts }; saving a timetable answers with the same report
+  // (400 for invalid slots, 409 for calendar clashes unless force: true).
+  const validateTimetable = async (schedule) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/study/timetables/validate`, { schedule });
+      return res.data;
+    } catch (err) {
+      console.error('Failed to validate timetable:', err);
+      throw err;
+    }
+  };
+
+  // Effective slots per date (overrides applied) for the active timetable
+  const fetchResolvedSchedule = async ({ start, end, timetableId } = {}) => {
+    try {
+      const params = new URLSearchParams();
+      if (start) params.append('start', start);
+      if (end) params.append('end', end);
+      if (timetableId) params.append('timetableId', timetableId);
+
+      const res = await axios.get(`${API_URL}/api/study/timetables/schedule?${params.toString()}`);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch resolved schedule:', err);
+      return null;
+    }
+  };
+
+  // override: { date: 'YYYY-MM-DD', action: 'cancel' | 'move' | 'add',
+  // slotId, toDate, time, subject, duration, note }. Cancel without a
+  // slotId skips the whole day.
+  const addTimetableOverride = async (timetableId, override) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/study/timetables/${timetableId}/overrides`, override);
+      await fetchDashboardAndTimetables(true);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to add timetable override:', err);
+      throw err;
+    }
+  };
+
+  const removeTimetableOverride = async (timetableId, overrideId) => {
+    try {
+      await axios.delete(`${API_URL}/api/study/timetables/${timetableId}/overrides/${overrideId}`);
+      await fetchDashboardAndTimetables(true);
+    } catch (err) {
+      console.error('Failed to remove timetable override:', err);
+      throw err;
+    }
+  };
+
+  const fetchTimetableRevisions = async (timetableId) => {
+    try {
+      const res = await axios.get(`${API_URL}/api/study/timetables/${timetableId}/revisions`);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch timetable revisions:', err);
+      return [];
+    }
+  };
+
+  // Also brings back a deleted timetable
+  const restoreTimetableRevision = async (timetableId, revisionId) => {
+    try {
+      const res = await axios.post(
+        `${API_URL}/api/study/timetables/${timetableId}/revisions/${revisionId}/restore`
+      );
+      await fetchDashboardAndTimetables(true);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to restore timetable revision:', err);
+      throw err;
+    }
+  };
+
+  const fetchDeletedTimetables = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/api/study/timetables/deleted`);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch deleted timetables:', err);
+      return [];
+    }
+  };
+
+  const fetchTimetableActivations = async ({ start, end } = {}) => {
+    try {
+      const res = await axios.get(`${API_URL}/api/study/timetables/activations`, {
+        params: { start, end },
+      });
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch timetable activations:', err);
+      return [];
+    }
+  };
+
+  // options: { name, description, isPublic }; returns the template with its shareToken
+  const shareTimetable = async (timetableId, options = {}) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/study/timetables/${timetableId}/share`, options);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to share timetable:', err);
+      throw err;
+    }
+  };
+
+  const fetchMyTemplates = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/api/study/timetables/templates`);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch templates:', err);
+      return [];
+    }
+  };
+
+  const fetchTemplateGallery = async ({ search, sort, page } = {}) => {
+    try {
+      const res = await axios.get(`${API_URL}/api/study/timetables/templates/gallery`, {
+        params: { search, sort, page },
+      });
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch template gallery:', err);
+      return { templates: [], total: 0 };
+    }
+  };
+
+  const fetchSharedTemplate = async (shareToken) => {
+    try {
+      const res = await axios.get(`${API_URL}/api/study/timetables/templates/shared/${shareToken}`);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch template:', err);
+      return null;
+    }
+  };
+
+  // options: { name, isActive, force }
+  const cloneTemplate = async (shareToken, options = {}) => {
+    try {
+      const res = await axios.post(
+        `${API_URL}/api/study/timetables/templates/shared/${shareToken}/clone`,
+        options
+      );
+      await fetchDashboardAndTimetables(true);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to clone template:', err);
+      throw err;
+    }
+  };
+
+  const updateTemplate = async (templateId, updates) => {
+    try {
+      const res = await axios.put(`${API_URL}/api/study/timetables/templates/${templateId}`, updates);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to update template:', err);
+      throw err;
+    }
+  };
+
+  const deleteTemplate = async (templateId) => {
+    try {
+      await axios.delete(`${API_URL}/api/study/timetables/templates/${templateId}`);
+    } catch (err) {
+      console.error('Failed to delete template:', err);
+      throw err;
+    }
+  };
+
+  // options: { subjects: [{ name, weeklyHours, priority: 'low' | 'medium' | 'high' }],
+  // slotMinutes, breakMinutes, name }. Returns an unsaved proposal
+  // ({ timetable, summary, warnings, validation }) to review before saving.
+  const generateTimetable = async (options = {}) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/study/timetables/generate`, options);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to generate timetable:', err);
+      throw err;
+    }
+  };
+
+  const fetchGoals = async () => {
+    try {
+      const res = await axios.get(`${API_URL}/api/study/goals`);
+      setStudyData(prev => ({ ...prev, goals: res.data }));
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch goals:', err);
+      return [];
+    }
+  };
+
+  // goal: { title, period: 'daily' | 'weekly' | 'monthly' | 'custom',
+  // scope: 'overall' | 'subject', subject, targetMinutes, deadline }
+  const createGoal = async (goal) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/study/goals`, goal);
+      setStudyData(prev => ({ ...prev, goals: [res.data, ...prev.goals] }));
+      return res.data;
+    } catch (err) {
+      console.error('Failed to create goal:', err);
+      throw err;
+    }
+  };
+
+  const updateGoal = async (goalId, updates) => {
+    try {
+      const res = await axios.put(`${API_URL}/api/study/goals/${goalId}`, updates);
+      setStudyData(prev => ({
+        ...prev,
+        goals: prev.goals.map(g => g._id === goalId ? res.data : g)
+      }));
+      return res.data;
+    } catch (err) {
+      console.error('Failed to update goal:', err);
+      throw err;
+    }
+  };
+
+  const deleteGoal = async (goalId) => {
+    try {
+      await axios.delete(`${API_URL}/api/study/goals/${goalId}`);
+      setStudyData(prev => ({
+        ...prev,
+        goals: prev.goals.filter(g => g._id !== goalId)
+      }));
+    } catch (err) {
+      console.error('Failed to delete goal:', err);
+      throw err;
+    }
+  };
+
+  const fetchSubjects = async (includeArchived = false) => {
+    try {
+      const res = await axios.get(`${API_URL}/api/study/subjects`, {
+        params: includeArchived ? { archived: true } : {}
+      });
+      setStudyData(prev => ({ ...prev, subjects: res.data }));
+      return res.data;
+    } catch (err) {
+      console.error('Failed to fetch subjects:', err);
+      return [];
+    }
+  };
+
+  // subject: { name, color, icon, weeklyTargetMinutes }
+  const createSubject = async (subject) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/study/subjects`, subject);
+      setStudyData(prev => ({ ...prev, subjects: [...prev.subjects, res.data] }));
+      return res.data;
+    } catch (err) {
+      console.error('Failed to create subject:', err);
+      throw err;
+    }
+  };
+
+  // Renaming rewrites history; a 409 means the name is taken and the two
+  // subjects should be merged instead
+  const updateSubject = async (subjectId, updates) => {
+    try {
+      const res = await axios.put(`${API_URL}/api/study/subjects/${subjectId}`, updates);
+      setStudyData(prev => ({
+        ...prev,
+        subjects: prev.subjects.map(s => s._id === subjectId ? res.data : s)
+      }));
+      if (updates.name) await fetchDashboardAndTimetables(true);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to update subject:', err);
+      throw err;
+    }
+  };
+
+  const mergeSubjects = async (sourceId, targetId) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/study/subjects/${sourceId}/merge`, { targetId });
+      setStudyData(prev => ({
+        ...prev,
+        subjects: prev.subjects.filter(s => s._id !== sourceId)
+      }));
+      await fetchDashboardAndTimetables(true);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to merge subjects:', err);
+      throw err;
+    }
+  };
+
+  // Fetch a file from the API with auth headers and hand it to the browser
+  const downloadFile = async (path, params, fallbackName) => {
+    const res = await axios.get(`${API_URL}${path}`, { params, responseType: 'blob' });
+    const match = /filename="([^"]+)"/.exec(res.headers['content-disposition'] || '');
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : fallbackName;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // options: { format: 'csv' | 'json', start, end } with YYYY-MM-DD dates
+  const exportSessions = async (options = {}) => {
+    try {
+      await downloadFile('/api/study/export/sessions', options, `study-sessions.${options.format || 'csv'}`);
+    } catch (err) {
+      console.error('Failed to export sessions:', err);
+      throw err;
+    }
+  };
+
+  // Calendar events and the active timetable as an .ics file
+  const downloadCalendar = async () => {
+    try {
+      await downloadFile('/api/calendar/export.ics', undefined, 'focusvault-calendar.ics');
+    } catch (err) {
+      console.error('Failed to download calendar:', err);
+      throw err;
+    }
+  };
+
+  // options: { period: 'week' | 'month', date: 'YYYY-MM-DD', format: 'html' | 'pdf' }
+  // The HTML report opens in a new tab ready to print; the PDF downloads
+  const openReport = async (options = {}) => {
+    try {
+      if (options.format === 'pdf') {
+        await downloadFile('/api/study/report', options, 'study-report.pdf');
+        return;
+      }
+      const res = await axios.get(`${API_URL}/api/study/report`, {
+        params: { ...options, format: 'html' },
+        responseType: 'blob'
+      });
+      const url = URL.createObjectURL(res.data);
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    } catch (err) {
+      console.error('Failed to open report:', err);
+      throw err;
+    }
+  };
+
+  const exportAccount = async () => {
+    try {
+      await downloadFile('/api/user/export', {}, 'account-archive.json');
+    } catch (err) {
+      console.error('Failed to export account:', err);
+      throw err;
+    }
+  };
+
+  // options: { format: 'toggl' | 'generic', mapping: { subject, start, end,
+  // duration, notes }, timezone, dryRun }. A dry run returns the report of
+  // what would be imported without saving anything.
+  const importSessions = async (file, options = {}) => {
+    try {
+      const form = new FormData();
+      form.append('file', file);
+      Object.entries(options).forEach(([key, value]) => {
+        if (value === undefined) return;
+        form.append(key, typeof value === 'object' ? JSON.stringify(value) : value);
+      });
+
+      const res = await axios.post(`${API_URL}/api/study/import`, form);
+      if (!options.dryRun && res.data.imported > 0) {
+        await fetchDashboardAndTimetables(true);
+      }
+      return res.data;
+    } catch (err) {
+      console.error('Failed to import sessions:', err);
+      throw err;
+    }
+  };
+
+  // options: { type, subject, dryRun }. A dry run returns the preview report
+  // ({ events, duplicates, rejected }) without saving anything.
+  const importCalendar = async (file, options = {}) => {
+    try {
+      const form = new FormData();
+      form.append('file', file);
+      Object.entries(options).forEach(([key, value]) => {
+        if (value !== undefined) form.append(key, value);
+      });
+
+      const res = await axios.post(`${API_URL}/api/calendar/import`, form);
+      return res.data;
+    } catch (err) {
+      console.error('Failed to import calendar:', err);
+      throw err;
+    }
+  };
+
+  // options.mode = 'interval' with options.interval = { workDuration, shortBreakDuration,
+  // longBreakDuration, totalIntervals, longBreakEvery } (seconds) starts a Pomodoro session
+  const startStudySession = async (subject, targetTime = 3600, options = {}) => {
     try {
       const res = await axios.post(`${API_URL}/api/study/state/start`, {
         subject,
-        targetTime
+        targetTime,
+        mode: options.mode,
+        interval: options.interval
       });
 
       const newSession = res.data;
@@ -155,6 +633,34 @@ export const StudyProvider = ({ children }) => {
     }
   };
 
+  // Start a session from a study event (or one occurrence of a recurring
+  // one); the server fills in the subject and the target from the event's
+  // start and end times. Ending it marks the event attended.
+  const startSessionFromEvent = async (event, options = {}) => {
+    try {
+      const res = await axios.post(`${API_URL}/api/study/state/start`, {
+        eventId: event._id,
+        occurrenceDate: event.occurrenceDate,
+        targetTime: options.targetTime,
+        mode: options.mode,
+        interval: options.interval
+      });
+
+      const newSession = res.data;
+      setCurrentSession(newSession);
+      setIsStudying(true);
+      setActiveSessions(prev => [
+        newSession,
+        ...prev.filter(s => s.sessionId !== newSession.sessionId)
+      ]);
+
+      return newSession;
+    } catch (err) {
+      console.error('Failed to start session from event:', err);
+      throw err;
+    }
+  };
+
   const pauseSession = async (sessionId = null) => {
     try {
       const targetSessionId = sessionId || currentSession?.sessionId;
@@ -228,6 +734,31 @@ export const StudyProvider = ({ children }) => {
     }
   };
 
+  const skipPhase = async (sessionId = null) => {
+    try {
+      const targetSessionId = sessionId || currentSession?.sessionId;
+      if (!targetSessionId) return;
+
+      const res = await axios.post(`${API_URL}/api/study/state/${targetSessionId}/phase/skip`);
+
+      const updatedSession = res.data;
+      if (currentSession?.sessionId === targetSessionId) {
+        setCurrentSession(updatedSession);
+        setIsStudying(updatedSession.status === 'active');
+      }
+
+      // Update active sessions
+      setActiveSessions(prev =>
+        prev.map(s => s.sessionId === targetSessionId ? updatedSession : s)
+      );
+
+      return updatedSession;
+    } catch (err) {
+      console.error('Failed to skip phase:', err);
+      throw err;
+    }
+  };
+
   const endSession = async (sessionId = null, notes = '') => {
     try {
       const targetSessionId = sessionId || currentSession?.sessionId;
@@ -311,6 +842,9 @@ export const StudyProvider = ({ children }) => {
     const activeTimetable = studyData.activeTimetable;
     if (!activeTimetable) return [];
 
+    // Prefer the server's resolved schedule, which includes date overrides
+    if (studyData.todaySchedule) return studyData.todaySchedule;
+
     const todayKey = new Date().toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
     return activeTimetable.schedule?.[todayKey] || [];
   };
@@ -345,15 +879,51 @@ export const StudyProvider = ({ children }) => {
     currentSession,
     isStudying,
     startStudySession,
+    startSessionFromEvent,
     pauseSession,
     resumeSession,
     updateSessionTime,
+    skipPhase,
     endSession,
     cancelSession,
     fetchDashboardAndTimetables,
     fetchActiveSessions,
     fetchCompletedSubjects,
     fetchSessionStats,
+    fetchAnalytics,
+    fetchHeatmap,
+    fetchAdherence,
+    fetchExams,
+    validateTimetable,
+    fetchResolvedSchedule,
+    addTimetableOverride,
+    removeTimetableOverride,
+    fetchTimetableRevisions,
+    restoreTimetableRevision,
+    fetchDeletedTimetables,
+    fetchTimetableActivations,
+    shareTimetable,
+    fetchMyTemplates,
+    fetchTemplateGallery,
+    fetchSharedTemplate,
+    cloneTemplate,
+    updateTemplate,
+    deleteTemplate,
+    generateTimetable,
+    fetchGoals,
+    createGoal,
+    updateGoal,
+    deleteGoal,
+    fetchSubjects,
+    createSubject,
+    updateSubject,
+    mergeSubjects,
+    exportSessions,
+    exportAccount,
+    downloadCalendar,
+    openReport,
+    importSessions,
+    importCalendar,
     fetchNotes,
     loadingNotes,
     // Helper functions
@@ -369,7 +939,9 @@ export const StudyProvider = ({ children }) => {
     currentSession,
     isStudying,
     loadingNotes,
-    fetchDashboardAndTimetables
+    fetchDashboardAndTimetables,
+    fetchHeatmap,
+    fetchAdherence
   ]);
 
   return (
@@ -15,8 +15,10 @@ dotenv.config();
 // Import routes
 import authRoutes from "./routes/auth.js";
 import studyRoutes from "./routes/study.js";
+import subjectRoutes from "./routes/subject.js";
 import todoRoutes from "./routes/todo.js";
 import calendarRoutes from "./routes/calendar.js";
+import calendarFeedRoutes from "./routes/calendarFeed.js";
 import userRoutes from "./routes/user.js";
 import chatRoutes from "./routes/chat.js";
 import feedback from "./routes/feedback.js";
@@ -100,8 +102,15 @@ const notificationService = new NotificationService(io);
 
 // Routes
 app.use("/api/auth", authRoutes);
+app.use(
+  "/api/study/subjects",
+  authMiddleware,
+  requireEmailVerification,
+  subjectRoutes
+);
 app.use("/api/study", authMiddleware, requireEmailVerification, studyRoutes);
 app.use("/api/todo", authMiddleware, requireEmailVerification, todoRoutes);
+app.use("/api/calendar/feed", calendarFeedRoutes);
 app.use(
   "/api/calendar",
   authMiddleware,
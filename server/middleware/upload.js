@@ -0,0 +1,28 @@
+import multer from "multer";
+
+export const MAX_UPLOAD_MB = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 },
+});
+
+// One file kept in memory as req.file. Upload problems answer here with a
+// 413 or 400 instead of reaching the generic 500 handler.
+export const singleUpload = (field) => {
+  const handler = upload.single(field);
+
+  return (req, res, next) =>
+    handler(req, res, (error) => {
+      if (!(error instanceof multer.MulterError)) return next(error);
+
+      if (error.code === "LIMIT_FILE_SIZE") {
+        return res
+          .status(413)
+          .json({ message: `Files can be at most ${MAX_UPLOAD_MB} MB` });
+      }
+      res.status(400).json({
+        message: error.field ? `${error.message}: ${error.field}` : error.message,
+      });
+    });
+};
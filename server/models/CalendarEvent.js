@@ -1,5 +1,96 @@
 import mongoose from 'mongoose';
 
+// Repeat rule of a recurring event, counted from the event's date
+const recurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1
+  },
+  byDay: [{
+    type: String, // weekly only
+    enum: ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU']
+  }],
+  until: {
+    type: Date // last possible day, inclusive
+  },
+  count: {
+    type: Number
+  }
+}, { _id: false });
+
+// Revision target of an exam: hours to study its subject beforehand
+const revisionSchema = new mongoose.Schema({
+  targetHours: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  startDate: {
+    type: Date, // first day of revision, UTC midnight like `date`
+    required: true
+  }
+}, { _id: false });
+
+// Study sessions started from one occurrence, with actual against
+// planned time. Rebuilt from the sessions whenever one changes.
+const attendanceSchema = new mongoose.Schema({
+  occurrenceDate: {
+    type: String, // YYYY-MM-DD; the event's own day for one-off events
+    required: true
+  },
+  sessionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StudySession'
+  }],
+  plannedMinutes: {
+    type: Number, // null for events without start and end times
+    default: null
+  },
+  actualMinutes: {
+    type: Number,
+    default: 0
+  },
+  startedAt: Date,
+  endedAt: Date
+}, { _id: false });
+
+// One occurrence of a series that was cancelled or edited on its own.
+// originalDate identifies the occurrence; the other fields replace the
+// series' values for it.
+const exceptionSchema = new mongoose.Schema({
+  originalDate: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  cancelled: {
+    type: Boolean,
+    default: false
+  },
+  title: String,
+  description: String,
+  date: Date,
+  startTime: String,
+  endTime: String,
+  type: {
+    type: String,
+    enum: ['study', 'exam', 'assignment', 'reminder', 'other']
+  },
+  subject: String,
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high']
+  }
+}, { _id: false });
+
 const calendarEventSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -34,11 +125,17 @@ const calendarEventSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high'],
     default: 'medium'
   },
+  // Single reminder from before multiple reminders existed; kept in step
+  // with the reminder in `reminders` closest to the start
   reminder: {
     enabled: {
       type: Boolean,
@@ -48,6 +145,31 @@ const calendarEventSchema = new mongoose.Schema({
       type: Number,
       default: 15
     }
+  },
+  reminders: [{
+    _id: false,
+    time: {
+      type: Number, // minutes before the start
+      required: true
+    },
+    email: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  revision: {
+    type: revisionSchema,
+    default: null
+  },
+  exceptions: [exceptionSchema],
+  attendance: [attendanceSchema],
+  // UID of the iCalendar event this was imported from
+  importUid: {
+    type: String
   }
 }, {
   timestamps: true
@@ -55,5 +177,11 @@ const calendarEventSchema = new mongoose.Schema({
 
 // Index for date-based queries
 calendarEventSchema.index({ userId: 1, date: 1 });
+calendarEventSchema.index({ userId: 1, importUid: 1 }, { sparse: true });
+// Reminder sweeps look up every user's events by date
+calendarEventSchema.index(
+  { date: 1 },
+  { partialFilterExpression: { 'reminder.enabled': true } }
+);
 
 export default mongoose.model('CalendarEvent', calendarEventSchema);
\ No newline at end of file
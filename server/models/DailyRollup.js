@@ -0,0 +1,44 @@
+import mongoose from "mongoose";
+
+// Per-user-per-day study totals, maintained from StudySession writes
+const dailyRollupSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    date: {
+      type: String, // YYYY-MM-DD in the user's day boundaries
+      required: true,
+    },
+    totalTime: {
+      type: Number, // seconds
+      default: 0,
+    },
+    sessions: {
+      type: Number,
+      default: 0,
+    },
+    completedSessions: {
+      type: Number,
+      default: 0,
+    },
+    subjects: [
+      {
+        _id: false,
+        name: String,
+        time: Number,
+        sessions: Number,
+        completedSessions: Number,
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dailyRollupSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+export default mongoose.model("DailyRollup", dailyRollupSchema);
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+const goalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    // daily/weekly/monthly goals repeat; a custom goal runs once until its deadline
+    period: {
+      type: String,
+      enum: ["daily", "weekly", "monthly", "custom"],
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ["overall", "subject"],
+      default: "overall",
+    },
+    subject: {
+      type: String,
+      trim: true,
+    },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+    },
+    targetMinutes: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    // Required for custom goals; ends a repeating goal
+    deadline: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Period keys already notified, so each alert goes out once per period
+    notified: {
+      met: { type: String, default: null },
+      behind: { type: String, default: null },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+goalSchema.index({ userId: 1, isActive: 1 });
+
+export default mongoose.model("Goal", goalSchema);
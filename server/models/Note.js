@@ -20,6 +20,10 @@ const noteSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+    },
     tags: [
       {
         type: String,
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+// A reminder that has gone out. The unique index lets the scheduler claim
+// a reminder before sending it, so restarts and overlapping runs never
+// send the same one twice. fireAt is part of the key so a rescheduled
+// event is reminded again at its new time.
+const reminderDeliverySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CalendarEvent",
+      required: true,
+    },
+    occurrenceDate: {
+      type: String, // YYYY-MM-DD, the occurrence's original day
+      required: true,
+    },
+    time: {
+      type: Number, // minutes before the start
+      required: true,
+    },
+    fireAt: {
+      type: Date,
+      required: true,
+    },
+    email: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reminderDeliverySchema.index(
+  { eventId: 1, occurrenceDate: 1, time: 1, fireAt: 1 },
+  { unique: true }
+);
+// Deliveries only matter while their reminder could still fire
+reminderDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+export default mongoose.model("ReminderDelivery", reminderDeliverySchema);
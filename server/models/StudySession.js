@@ -1,5 +1,19 @@
 import mongoose from "mongoose";
 
+const phaseLogSchema = new mongoose.Schema(
+  {
+    phase: {
+      type: String,
+      enum: ["work", "short_break", "long_break"],
+      required: true,
+    },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, required: true },
+    duration: { type: Number, default: 0 }, // seconds
+  },
+  { _id: false }
+);
+
 const studySessionSchema = new mongoose.Schema(
   {
     userId: {
@@ -11,6 +25,10 @@ const studySessionSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+    },
     actualTime: {
       type: Number, // Time in seconds
       required: true,
@@ -37,6 +55,39 @@ const studySessionSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    mode: {
+      type: String,
+      enum: ["countdown", "interval"],
+      default: "countdown",
+    },
+    // Interval sessions only: actualTime equals focusTime
+    focusTime: {
+      type: Number,
+      default: null,
+    },
+    breakTime: {
+      type: Number,
+      default: null,
+    },
+    completedIntervals: {
+      type: Number,
+      default: null,
+    },
+    phases: {
+      type: [phaseLogSchema],
+      default: undefined,
+    },
+    // Calendar event the session was started from
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CalendarEvent",
+      default: null,
+    },
+    // Day of the event occurrence, YYYY-MM-DD
+    occurrenceDate: {
+      type: String,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -45,7 +96,9 @@ const studySessionSchema = new mongoose.Schema(
 
 studySessionSchema.index({ userId: 1, createdAt: -1 });
 studySessionSchema.index({ userId: 1, subject: 1 });
+studySessionSchema.index({ userId: 1, subjectId: 1 });
 studySessionSchema.index({ createdAt: 1 });
+studySessionSchema.index({ eventId: 1, occurrenceDate: 1 });
 
 const StudySession = mongoose.model("StudySession", studySessionSchema);
 
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+const subjectSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Lowercased, whitespace-collapsed name so "Maths" and "maths " match
+    normalizedName: {
+      type: String,
+      required: true,
+    },
+    color: {
+      type: String,
+      default: "#8B5CF6",
+    },
+    icon: {
+      type: String,
+      default: "BookOpen", // lucide-react icon name
+    },
+    archived: {
+      type: Boolean,
+      default: false,
+    },
+    weeklyTargetMinutes: {
+      type: Number,
+      default: null,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+subjectSchema.index({ userId: 1, normalizedName: 1 }, { unique: true });
+
+subjectSchema.statics.normalize = function (name) {
+  return String(name || "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .toLowerCase();
+};
+
+export default mongoose.model("Subject", subjectSchema);
@@ -3,6 +3,7 @@ const timetableEntrySchema = new mongoose.Schema(
   {
     time: { type: String, required: true },
     subject: { type: String, required: true, trim: true },
+    subjectId: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
     duration: { type: Number, default: 60 },
   },
   { _id: true }
@@ -21,6 +22,24 @@ const dayWiseScheduleSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// A change to one date of the weekly pattern: cancel a slot (or the whole
+// day when slotId is empty), move a slot to another time or date, or add a
+// one-off slot. Dates are YYYY-MM-DD in the user's timezone.
+const timetableOverrideSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true },
+    action: { type: String, enum: ["cancel", "move", "add"], required: true },
+    slotId: { type: mongoose.Schema.Types.ObjectId },
+    toDate: { type: String }, // move only; defaults to date
+    time: { type: String },
+    subject: { type: String, trim: true },
+    subjectId: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
+    duration: { type: Number },
+    note: { type: String, trim: true },
+  },
+  { _id: true, timestamps: true }
+);
+
 const timetableSchema = new mongoose.Schema(
   {
     userId: {
@@ -32,6 +51,7 @@ const timetableSchema = new mongoose.Schema(
     description: { type: String, trim: true },
     schedule: dayWiseScheduleSchema, // ⬅️ NEW FORMAT
     isActive: { type: Boolean, default: false },
+    overrides: [timetableOverrideSchema],
   },
   { timestamps: true }
 );
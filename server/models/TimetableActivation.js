@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+// A period during which a timetable was the active one
+const timetableActivationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    timetableId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Timetable",
+      required: true,
+    },
+    name: {
+      type: String, // timetable name at activation time
+      required: true,
+    },
+    activatedAt: {
+      type: Date,
+      required: true,
+    },
+    deactivatedAt: {
+      type: Date,
+      default: null, // still active
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+timetableActivationSchema.index({ userId: 1, activatedAt: -1 });
+
+export default mongoose.model("TimetableActivation", timetableActivationSchema);
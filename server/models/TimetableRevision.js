@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+
+// One saved state of a timetable, kept on every change so edits can be
+// reviewed and rolled back. Snapshots survive the timetable being deleted.
+const timetableRevisionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    timetableId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Timetable",
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "override", "restore", "delete"],
+      required: true,
+    },
+    // name, description, schedule and overrides after the change
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // What changed compared with the previous revision
+    diff: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    restoredFrom: {
+      type: Number, // version, for restores
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+timetableRevisionSchema.index({ timetableId: 1, version: -1 }, { unique: true });
+timetableRevisionSchema.index({ userId: 1, action: 1, createdAt: -1 });
+
+export default mongoose.model("TimetableRevision", timetableRevisionSchema);
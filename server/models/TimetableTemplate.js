@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+const templateSlotSchema = new mongoose.Schema(
+  {
+    time: { type: String, required: true },
+    subject: { type: String, required: true, trim: true },
+    duration: { type: Number, default: 60 },
+  },
+  { _id: false }
+);
+
+// Read-only copy of a timetable that others can clone through its share
+// token. Subjects are kept by name only; cloning maps them onto the
+// cloner's own subjects.
+const timetableTemplateSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    timetableId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Timetable", // source, may since have changed or been deleted
+    },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true, default: "" },
+    schedule: {
+      monday: [templateSlotSchema],
+      tuesday: [templateSlotSchema],
+      wednesday: [templateSlotSchema],
+      thursday: [templateSlotSchema],
+      friday: [templateSlotSchema],
+      saturday: [templateSlotSchema],
+      sunday: [templateSlotSchema],
+    },
+    shareToken: { type: String, required: true, unique: true },
+    isPublic: { type: Boolean, default: false }, // listed in the gallery
+    cloneCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+timetableTemplateSchema.index({ isPublic: 1, cloneCount: -1 });
+timetableTemplateSchema.index({ userId: 1, createdAt: -1 });
+
+// What other users see: no ids besides the token, author by name only
+timetableTemplateSchema.methods.toPublicJSON = function () {
+  return {
+    shareToken: this.shareToken,
+    name: this.name,
+    description: this.description,
+    schedule: this.schedule,
+    cloneCount: this.cloneCount,
+    author: this.userId?.name || null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+  };
+};
+
+export default mongoose.model("TimetableTemplate", timetableTemplateSchema);
@@ -83,6 +83,32 @@ const userSchema = new mongoose.Schema({
     studyReminders: {
       type: Boolean,
       default: true
+    },
+    timezone: {
+      type: String, // IANA name, e.g. "Asia/Kolkata"; server timezone if unset
+      default: null
+    },
+    streakRules: {
+      minMinutesPerDay: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      honorStudyDays: {
+        type: Boolean,
+        default: true
+      }
+    },
+    weeklyDigest: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      day: {
+        type: String,
+        enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+        default: 'monday'
+      }
     }
   },
   stats: {
@@ -113,28 +139,48 @@ const userSchema = new mongoose.Schema({
     lastStudyDate: {
       type: Date
     },
-    dailyStats: [{
-      date: {
-        type: Date,
-        required: true
-      },
-      totalTime: {
-        type: Number,
-        default: 0
-      },
-      sessions: {
-        type: Number,
-        default: 0
-      },
-      subjects: [{
-        name: String,
-        time: Number,
-        sessions: Number
-      }]
-    }]
+    lastStudyDay: {
+      type: String // YYYY-MM-DD in the user's timezone
+    },
+    streaksCheckedDay: {
+      type: String // day key the streaks were last walked up to
+    },
+    streakFreezes: {
+      type: Number,
+      default: 0
+    },
+    streakHistory: [{
+      _id: false,
+      start: String, // YYYY-MM-DD
+      end: String,
+      length: Number,
+      frozenDays: [String],
+      active: Boolean
+    }],
+    subjects: [{
+      name: String,
+      time: Number,
+      sessions: Number
+    }],
+    rebuiltAt: {
+      type: Date
+    },
+    version: {
+      type: Number,
+      default: 0
+    }
   },
   lastNotificationSent: {
     type: Date
+  },
+  lastWeeklyDigestSent: {
+    type: Date
+  },
+  // Secret part of the calendar feed URL; anyone holding it can read the feed
+  calendarFeedToken: {
+    type: String,
+    unique: true,
+    sparse: true
   }
 }, {
   timestamps: true
@@ -164,6 +210,7 @@ userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
   delete userObject.emailVerificationToken;
+  delete userObject.calendarFeedToken;
   return userObject;
 };
 
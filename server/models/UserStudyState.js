@@ -1,5 +1,45 @@
 import mongoose from "mongoose";
 
+// One uninterrupted stretch of running time. An open segment has no endedAt.
+const timerSegmentSchema = new mongoose.Schema(
+  {
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const PHASES = ["work", "short_break", "long_break", "done"];
+
+// A finished work or break phase of an interval session
+const phaseLogSchema = new mongoose.Schema(
+  {
+    phase: { type: String, enum: PHASES, required: true },
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, required: true },
+    duration: { type: Number, default: 0 }, // running seconds spent in phase
+  },
+  { _id: false }
+);
+
+// Pomodoro-style configuration and progress. Durations are in seconds.
+const intervalStateSchema = new mongoose.Schema(
+  {
+    workDuration: { type: Number, default: 1500 },
+    shortBreakDuration: { type: Number, default: 300 },
+    longBreakDuration: { type: Number, default: 900 },
+    totalIntervals: { type: Number, default: 4 },
+    longBreakEvery: { type: Number, default: 4 },
+    phase: { type: String, enum: PHASES, default: "work" },
+    phaseStartedAt: { type: Date, default: Date.now },
+    phaseDeadline: { type: Date, default: null }, // null while paused
+    phaseRemaining: { type: Number, default: null }, // set while paused
+    completedIntervals: { type: Number, default: 0 },
+    phases: { type: [phaseLogSchema], default: [] },
+  },
+  { _id: false }
+);
+
 const userStudyStateSchema = new mongoose.Schema(
   {
     userId: {
@@ -12,6 +52,10 @@ const userStudyStateSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+    },
     startTime: {
       type: Date,
       required: true,
@@ -19,7 +63,11 @@ const userStudyStateSchema = new mongoose.Schema(
     },
     elapsedTime: {
       type: Number,
-      default: 0, // in seconds
+      default: 0, // in seconds, last value computed from segments
+    },
+    segments: {
+      type: [timerSegmentSchema],
+      default: [],
     },
     targetTime: {
       type: Number,
@@ -30,6 +78,26 @@ const userStudyStateSchema = new mongoose.Schema(
       enum: ["active", "paused", "completed"],
       default: "active",
     },
+    mode: {
+      type: String,
+      enum: ["countdown", "interval"],
+      default: "countdown",
+    },
+    interval: {
+      type: intervalStateSchema,
+      default: null,
+    },
+    // Calendar event the session was started from
+    eventId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CalendarEvent",
+      default: null,
+    },
+    // Day of the event occurrence, YYYY-MM-DD
+    occurrenceDate: {
+      type: String,
+      default: null,
+    },
     sessionId: {
       type: String,
       required: true,
@@ -52,6 +120,213 @@ const userStudyStateSchema = new mongoose.Schema(
 // Compound index for efficient queries
 userStudyStateSchema.index({ userId: 1, status: 1 });
 userStudyStateSchema.index({ userId: 1, subject: 1 });
+userStudyStateSchema.index({ mode: 1, status: 1, "interval.phaseDeadline": 1 });
 // userStudyStateSchema.index({ sessionId: 1 }, { unique: true });
 
+// Seconds of running time, derived from the segment log
+userStudyStateSchema.methods.computeElapsedTime = function (now = new Date()) {
+  // Sessions created before the segment log existed only have elapsedTime
+  if (!this.segments || this.segments.length === 0) {
+    return this.elapsedTime || 0;
+  }
+
+  const totalMs = this.segments.reduce((sum, segment) => {
+    const end = segment.endedAt || now;
+    return sum + Math.max(0, end - segment.startedAt);
+  }, 0);
+
+  return Math.floor(totalMs / 1000);
+};
+
+userStudyStateSchema.methods.hasOpenSegment = function () {
+  const last = this.segments[this.segments.length - 1];
+  return !!last && !last.endedAt;
+};
+
+// Open a new segment (start/resume). No-op if the timer is already running.
+userStudyStateSchema.methods.startSegment = function (now = new Date()) {
+  if (this.hasOpenSegment()) return;
+
+  // Carry over time from legacy sessions as a closed segment
+  if (this.segments.length === 0 && this.elapsedTime > 0) {
+    this.segments.push({
+      startedAt: new Date(now.getTime() - this.elapsedTime * 1000),
+      endedAt: now,
+    });
+  }
+
+  this.segments.push({ startedAt: now, endedAt: null });
+};
+
+// Close the open segment (pause/end). No-op if the timer is not running.
+userStudyStateSchema.methods.closeSegment = function (now = new Date()) {
+  if (!this.hasOpenSegment()) return;
+  this.segments[this.segments.length - 1].endedAt = now;
+};
+
+// Apply a status transition and record it in the segment log
+userStudyStateSchema.methods.transitionTo = function (status, now = new Date()) {
+  if (status === "active") {
+    // A finished interval session has nothing left to run
+    if (this.interval?.phase === "done") return;
+    this.startSegment(now);
+  } else {
+    this.closeSegment(now);
+  }
+
+  if (this.mode === "interval" && this.interval) {
+    this.freezePhaseClock(status, now);
+  }
+
+  this.status = status;
+  this.elapsedTime = this.computeElapsedTime(now);
+};
+
+// Length in seconds of the given interval phase
+userStudyStateSchema.methods.phaseLength = function (phase) {
+  const { workDuration, shortBreakDuration, longBreakDuration } = this.interval;
+  if (phase === "work") return workDuration;
+  if (phase === "short_break") return shortBreakDuration;
+  if (phase === "long_break") return longBreakDuration;
+  return 0;
+};
+
+// Running seconds left in the current phase
+userStudyStateSchema.methods.phaseTimeLeft = function (now = new Date()) {
+  const { phaseDeadline, phaseRemaining, phase } = this.interval;
+  if (phaseDeadline) {
+    return Math.max(0, Math.round((phaseDeadline - now) / 1000));
+  }
+  return phaseRemaining ?? this.phaseLength(phase);
+};
+
+// Pausing stores the time left in the phase; resuming turns it back into a deadline
+userStudyStateSchema.methods.freezePhaseClock = function (status, now) {
+  const interval = this.interval;
+  if (interval.phase === "done") return;
+
+  if (status === "active") {
+    if (!interval.phaseDeadline) {
+      const remaining = interval.phaseRemaining ?? this.phaseLength(interval.phase);
+      interval.phaseDeadline = new Date(now.getTime() + remaining * 1000);
+      interval.phaseRemaining = null;
+    }
+  } else if (interval.phaseDeadline) {
+    interval.phaseRemaining = this.phaseTimeLeft(now);
+    interval.phaseDeadline = null;
+  }
+};
+
+// Close the current phase at `at` and move to the one that follows it.
+// Returns the transition, or null when the session has no phase to leave.
+userStudyStateSchema.methods.enterNextPhase = function (at, duration) {
+  const interval = this.interval;
+  const from = interval.phase;
+  if (from === "done") return null;
+
+  interval.phases.push({
+    phase: from,
+    startedAt: interval.phaseStartedAt,
+    endedAt: at,
+    duration,
+  });
+
+  let to = "work";
+  if (from === "work") {
+    interval.completedIntervals += 1;
+    if (interval.completedIntervals >= interval.totalIntervals) {
+      to = "done";
+    } else if (interval.completedIntervals % interval.longBreakEvery === 0) {
+      to = "long_break";
+    } else {
+      to = "short_break";
+    }
+  }
+
+  interval.phase = to;
+  interval.phaseStartedAt = at;
+  interval.phaseRemaining = null;
+  interval.phaseDeadline = null;
+
+  if (to === "done") {
+    this.closeSegment(at);
+    this.status = "paused";
+  } else if (this.status === "active") {
+    interval.phaseDeadline = new Date(at.getTime() + this.phaseLength(to) * 1000);
+  }
+
+  this.elapsedTime = this.computeElapsedTime(at);
+
+  return {
+    from,
+    to,
+    at,
+    completedIntervals: interval.completedIntervals,
+  };
+};
+
+// Catch up on every phase whose deadline has passed
+userStudyStateSchema.methods.advancePhases = function (now = new Date()) {
+  const transitions = [];
+  if (this.mode !== "interval" || !this.interval) return transitions;
+
+  while (
+    this.status === "active" &&
+    this.interval.phaseDeadline &&
+    this.interval.phaseDeadline <= now
+  ) {
+    const at = this.interval.phaseDeadline;
+    const transition = this.enterNextPhase(at, this.phaseLength(this.interval.phase));
+    if (!transition) break;
+    transitions.push(transition);
+  }
+
+  return transitions;
+};
+
+// End the current phase early, e.g. to skip a break
+userStudyStateSchema.methods.skipPhase = function (now = new Date()) {
+  if (this.mode !== "interval" || !this.interval) return null;
+  const phase = this.interval.phase;
+  const duration = this.phaseLength(phase) - this.phaseTimeLeft(now);
+  return this.enterNextPhase(now, duration);
+};
+
+// Close out the phase log when the session ends and split focus from breaks
+userStudyStateSchema.methods.summarizePhases = function (now = new Date()) {
+  const interval = this.interval;
+  if (interval.phase !== "done") {
+    const duration = this.phaseLength(interval.phase) - this.phaseTimeLeft(now);
+    interval.phases.push({
+      phase: interval.phase,
+      startedAt: interval.phaseStartedAt,
+      endedAt: now,
+      duration,
+    });
+  }
+
+  let focusTime = 0;
+  let breakTime = 0;
+  interval.phases.forEach((entry) => {
+    if (entry.phase === "work") focusTime += entry.duration;
+    else breakTime += entry.duration;
+  });
+
+  return {
+    focusTime,
+    breakTime,
+    completedIntervals: interval.completedIntervals,
+    phases: interval.phases.map((entry) => entry.toObject()),
+  };
+};
+
+// JSON payload with elapsedTime computed at the moment of the response
+userStudyStateSchema.methods.toTimerJSON = function (now = new Date()) {
+  return {
+    ...this.toJSON(),
+    elapsedTime: this.computeElapsedTime(now),
+    serverTime: now,
+  };
+};
+
 export default mongoose.model("UserStudyState", userStudyStateSchema);
@@ -1,23 +1,181 @@
 import express from "express";
 import CalendarEvent from "../models/CalendarEvent.js";
 import StudySession from "../models/StudySession.js";
+import UserStudyState from "../models/UserStudyState.js";
+import statsService from "../services/statsService.js";
+import subjectService from "../services/subjectService.js";
+import icsService from "../services/icsService.js";
+import reminderService from "../services/reminderService.js";
+import examPlanService, {
+  EXAM_HORIZON_DAYS,
+} from "../services/examPlanService.js";
+import calendarImportService, {
+  EVENT_TYPES,
+} from "../services/calendarImportService.js";
+import recurrenceService, {
+  EXCEPTION_FIELDS,
+  MAX_EXPAND_DAYS,
+  eventDayKey,
+} from "../services/recurrenceService.js";
+import { parseTime, formatTime } from "../utils/schedule.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  isValidTimezone,
+} from "../utils/timezone.js";
+import { dashboardCacheKey, invalidateCache } from "../utils/cache.js";
+import { singleUpload } from "../middleware/upload.js";
 
 const router = express.Router();
 
-// Get events for date range
+// The dashboard lists upcoming exams and their warnings, so event changes
+// have to drop it
+const invalidateDashboard = (req) => invalidateCache(req, dashboardCacheKey(req));
+
+// Download events and the active timetable as a one-off .ics file
+router.get("/export.ics", async (req, res) => {
+  try {
+    const calendar = await icsService.buildCalendar(req.user);
+    const date = new Date().toISOString().split("T")[0];
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="focusvault-calendar-${date}.ics"`
+    );
+    res.send(calendar);
+  } catch (error) {
+    console.error("Export calendar error:", error);
+    res.status(500).json({ message: "Failed to export calendar" });
+  }
+});
+
+// POST /api/calendar/import
+// An .ics file as `file` (or its text as `ics`), with the `type` and
+// optional `subject` given to every event. ?dryRun=true returns the
+// preview without saving. Events already imported (same UID) are skipped.
+router.post("/import", singleUpload("file"), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString("utf8") : req.body.ics;
+    if (!text || typeof text !== "string") {
+      return res.status(400).json({ message: "An .ics file is required" });
+    }
+
+    const { type = "other", subject, subjectId, timezone } = req.body;
+    if (!EVENT_TYPES.includes(type)) {
+      return res
+        .status(400)
+        .json({ message: `Type must be one of ${EVENT_TYPES.join(", ")}` });
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(
+      (value) => value === true || value === "true"
+    );
+
+    const report = await calendarImportService.importIcs(req.userId, text, {
+      type,
+      subject,
+      subjectId,
+      timezone: timezone || resolveTimezone(req.user),
+      dryRun,
+    });
+    if (report.error) {
+      return res.status(400).json({ message: report.error, ...report });
+    }
+
+    if (!dryRun) await invalidateDashboard(req);
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    console.error("Import calendar error:", error);
+    res.status(500).json({ message: "Failed to import calendar" });
+  }
+});
+
+// Which occurrences of a recurring event a change applies to
+const SCOPES = ["this", "following", "all"];
+
+// Check scope and occurrenceDate for an edit or delete. Returns
+// { scope, occurrenceDate } or { error }.
+const parseScope = (event, { scope = "all", occurrenceDate } = {}) => {
+  if (!event.recurrence || scope === "all") return { scope: "all" };
+  if (!SCOPES.includes(scope)) {
+    return { error: `Scope must be one of ${SCOPES.join(", ")}` };
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(occurrenceDate || "")) {
+    return { error: "occurrenceDate (YYYY-MM-DD) is required" };
+  }
+  if (!recurrenceService.isOccurrence(event, occurrenceDate)) {
+    return { error: "occurrenceDate is not an occurrence of this event" };
+  }
+  // Everything from the first occurrence on is the whole series
+  if (scope === "following" && occurrenceDate === eventDayKey(event.date)) {
+    return { scope: "all" };
+  }
+  return { scope, occurrenceDate };
+};
+
+// End a series the day before an occurrence, keeping earlier exceptions
+const endSeriesBefore = (event, occurrenceDate) => {
+  event.recurrence.until = new Date(`${shiftDayKey(occurrenceDate, -1)}T00:00:00Z`);
+  event.recurrence.count = undefined;
+  event.exceptions = event.exceptions.filter(
+    (ex) => ex.originalDate < occurrenceDate
+  );
+  event.attendance = event.attendance.filter(
+    (a) => a.occurrenceDate < occurrenceDate
+  );
+};
+
+// GET /api/calendar/exams?days=N
+// Upcoming exams with a countdown and, for exams with a revision target,
+// the revision plan and progress
+router.get("/exams", async (req, res) => {
+  try {
+    const days = req.query.days ? Number(req.query.days) : EXAM_HORIZON_DAYS;
+    if (!Number.isInteger(days) || days < 1 || days > MAX_EXPAND_DAYS) {
+      return res.status(400).json({
+        message: `Days must be a whole number from 1 to ${MAX_EXPAND_DAYS}`,
+      });
+    }
+
+    const exams = await examPlanService.getUpcoming(req.user, { days });
+    res.json({ exams, warnings: examPlanService.warningsOf(exams) });
+  } catch (error) {
+    console.error("Get exams error:", error);
+    res.status(500).json({ message: "Failed to fetch exams" });
+  }
+});
+
+// Get events for date range; recurring events are expanded into their
+// occurrences
 router.get("/events", async (req, res) => {
   try {
-    const { start, end } = req.query;
+    const start = new Date(req.query.start);
+    const end = new Date(req.query.end);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res
+        .status(400)
+        .json({ message: "Start and end must be valid dates" });
+    }
 
-    const events = await CalendarEvent.find({
-      userId: req.userId,
-      date: {
-        $gte: new Date(start),
-        $lte: new Date(end),
-      },
-    }).sort({ date: 1, startTime: 1 });
+    const startKey = eventDayKey(start);
+    const endKey = eventDayKey(end);
+    if (shiftDayKey(startKey, MAX_EXPAND_DAYS) <= endKey) {
+      return res.status(400).json({
+        message: `Range can be at most ${MAX_EXPAND_DAYS} days`,
+      });
+    }
+
+    const events = await recurrenceService.findOccurrences(
+      req.userId,
+      startKey,
+      endKey
+    );
 
-    res.json(events);
+    res.json(events.filter((event) => event.date >= start && event.date <= end));
   } catch (error) {
     console.error("Get events error:", error);
     res.status(500).json({ message: "Failed to fetch events" });
@@ -37,6 +195,37 @@ router.post("/events", async (req, res) => {
       subject,
       priority,
     } = req.body;
+    const resolved = await subjectService.resolve(
+      req.userId,
+      subject,
+      req.body.subjectId
+    );
+
+    if (Number.isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: "A valid date is required" });
+    }
+
+    const { recurrence, error } = recurrenceService.parse(
+      req.body.recurrence,
+      eventDayKey(date)
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { reminders, error: reminderError } = reminderService.parse(req.body);
+    if (reminderError) {
+      return res.status(400).json({ message: reminderError });
+    }
+
+    const { revision, error: revisionError } = examPlanService.parseRevision(
+      req.body.revision,
+      { type, recurrence, subject: resolved?.name, subjectId: resolved?._id, date },
+      toDayKey(new Date(), resolveTimezone(req.user))
+    );
+    if (revisionError) {
+      return res.status(400).json({ message: revisionError });
+    }
 
     const event = new CalendarEvent({
       userId: req.userId,
@@ -46,11 +235,16 @@ router.post("/events", async (req, res) => {
       startTime,
       endTime,
       type,
-      subject,
+      subject: resolved?.name,
+      subjectId: resolved?._id,
       priority,
+      recurrence,
+      revision,
+      ...(reminders && reminderService.toFields(reminders)),
     });
 
     await event.save();
+    await invalidateDashboard(req);
     res.status(201).json(event);
   } catch (error) {
     console.error("Create event error:", error);
@@ -58,19 +252,188 @@ router.post("/events", async (req, res) => {
   }
 });
 
-// Update event
+// Update event. Recurring events take `scope`: "this" (one occurrence),
+// "following" (this occurrence and later ones) or "all" (default), plus
+// `occurrenceDate` for the first two.
 router.put("/events/:id", async (req, res) => {
   try {
-    const event = await CalendarEvent.findOneAndUpdate(
-      { _id: req.params.id, userId: req.userId },
-      req.body,
-      { new: true }
-    );
+    const { scope: requestedScope, occurrenceDate: requestedDate, ...update } =
+      req.body;
+    // Ownership, exceptions and attendance are managed here, not by the client
+    delete update._id;
+    delete update.userId;
+    delete update.exceptions;
+    delete update.attendance;
 
+    const event = await CalendarEvent.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
     if (!event) {
       return res.status(404).json({ message: "Event not found" });
     }
 
+    const { scope, occurrenceDate, error } = parseScope(event, {
+      scope: requestedScope,
+      occurrenceDate: requestedDate,
+    });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (update.subject || update.subjectId) {
+      const subject = await subjectService.resolve(
+        req.userId,
+        update.subject,
+        update.subjectId
+      );
+      update.subject = subject?.name;
+      update.subjectId = subject?._id;
+    }
+    if (update.date) {
+      update.date = new Date(update.date);
+      if (Number.isNaN(update.date.getTime())) {
+        return res.status(400).json({ message: "A valid date is required" });
+      }
+    }
+
+    const { reminders, error: reminderError } = reminderService.parse(update);
+    if (reminderError) {
+      return res.status(400).json({ message: reminderError });
+    }
+    delete update.reminder;
+    delete update.reminders;
+    if (reminders) Object.assign(update, reminderService.toFields(reminders));
+
+    if (update.revision !== undefined) {
+      const { revision, error: revisionError } = examPlanService.parseRevision(
+        update.revision,
+        { ...event.toObject(), ...update },
+        toDayKey(new Date(), resolveTimezone(req.user))
+      );
+      if (revisionError) {
+        return res.status(400).json({ message: revisionError });
+      }
+      update.revision = revision;
+    }
+
+    if (scope === "this") {
+      if (update.recurrence !== undefined) {
+        return res.status(400).json({
+          message: "Change the recurrence for the whole series or following events",
+        });
+      }
+      if (reminders) {
+        return res.status(400).json({
+          message: "Change reminders for the whole series or following events",
+        });
+      }
+
+      const exception = { originalDate: occurrenceDate, cancelled: false };
+      EXCEPTION_FIELDS.forEach((field) => {
+        if (update[field] !== undefined) exception[field] = update[field];
+      });
+
+      // Moving only the start keeps the occurrence's length
+      const current = recurrenceService.occurrenceOf(event, occurrenceDate);
+      const start = parseTime(exception.startTime ?? current?.startTime);
+      const end = parseTime(exception.endTime ?? current?.endTime);
+      if (update.startTime !== undefined && update.endTime === undefined) {
+        const from = parseTime(current?.startTime);
+        const to = parseTime(current?.endTime);
+        if (start !== null && from !== null && to !== null) {
+          const shiftedEnd = start + (to - from);
+          if (shiftedEnd >= 24 * 60) {
+            return res.status(400).json({ message: "The event must end on the same day" });
+          }
+          exception.endTime = formatTime(shiftedEnd);
+        }
+      } else if (start !== null && end !== null && end <= start) {
+        return res.status(400).json({ message: "End time must be after the start time" });
+      }
+      event.exceptions = [
+        ...event.exceptions.filter((ex) => ex.originalDate !== occurrenceDate),
+        exception,
+      ];
+      await event.save();
+      await invalidateDashboard(req);
+      return res.json(event);
+    }
+
+    if (update.recurrence !== undefined) {
+      const { recurrence, error: recurrenceError } = recurrenceService.parse(
+        update.recurrence,
+        eventDayKey(update.date || (scope === "following" ? occurrenceDate : event.date))
+      );
+      if (recurrenceError) {
+        return res.status(400).json({ message: recurrenceError });
+      }
+      update.recurrence = recurrence;
+      // Old exceptions no longer line up with a new rule
+      update.exceptions = [];
+    }
+
+    // Moving a weekly series without a new rule keeps its weekdays in step
+    // with the new start
+    let shifted = null;
+    if (update.date && update.recurrence === undefined && event.recurrence?.freq === "weekly") {
+      const fromKey = scope === "following" ? occurrenceDate : eventDayKey(event.date);
+      shifted = {
+        ...event.recurrence.toObject(),
+        byDay: recurrenceService.shiftByDay(
+          event.recurrence.byDay,
+          fromKey,
+          eventDayKey(update.date)
+        ),
+      };
+    }
+
+    if (scope === "following") {
+      // Split off a new series from this occurrence on
+      const { _id, createdAt, updatedAt, exceptions, ...fields } = event.toObject();
+      const rescheduled = update.date || update.recurrence !== undefined;
+      const remaining = event.recurrence.count
+        ? event.recurrence.count - recurrenceService.countBefore(event, occurrenceDate)
+        : undefined;
+
+      const following = new CalendarEvent({
+        ...fields,
+        date: new Date(`${occurrenceDate}T00:00:00Z`),
+        recurrence: { ...(shifted || fields.recurrence), count: remaining },
+        exceptions: rescheduled
+          ? []
+          : exceptions.filter((ex) => ex.originalDate >= occurrenceDate),
+        attendance: fields.attendance.filter((a) => a.occurrenceDate >= occurrenceDate),
+        ...update,
+      });
+
+      endSeriesBefore(event, occurrenceDate);
+      await following.save();
+      await event.save();
+      // Sessions from the split-off occurrences, finished or still running,
+      // now belong to the new series
+      const splitOff = { eventId: event._id, occurrenceDate: { $gte: occurrenceDate } };
+      await StudySession.updateMany(splitOff, { eventId: following._id });
+      await UserStudyState.updateMany(splitOff, { eventId: following._id });
+      await invalidateDashboard(req);
+      return res.json(following);
+    }
+
+    if (shifted) update.recurrence = shifted;
+    // Old exceptions and attendance no longer line up with a moved or
+    // re-ruled series, whatever its frequency
+    const moved = update.date && eventDayKey(update.date) !== eventDayKey(event.date);
+    if (event.recurrence && (moved || update.recurrence !== undefined)) {
+      update.exceptions = [];
+      const rescheduled = { ...event.toObject(), ...update };
+      update.attendance = event.attendance.filter((a) =>
+        recurrenceService.isOccurrence(rescheduled, a.occurrenceDate)
+      );
+    }
+
+    event.set(update);
+    await event.save();
+    await invalidateDashboard(req);
     res.json(event);
   } catch (error) {
     console.error("Update event error:", error);
@@ -78,10 +441,11 @@ router.put("/events/:id", async (req, res) => {
   }
 });
 
-// Delete event
+// Delete event; recurring events take ?scope=this|following|all and
+// ?occurrenceDate=YYYY-MM-DD like updates
 router.delete("/events/:id", async (req, res) => {
   try {
-    const event = await CalendarEvent.findOneAndDelete({
+    const event = await CalendarEvent.findOne({
       _id: req.params.id,
       userId: req.userId,
     });
@@ -90,6 +454,30 @@ router.delete("/events/:id", async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
+    const { scope, occurrenceDate, error } = parseScope(event, req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (scope === "this") {
+      event.exceptions = [
+        ...event.exceptions.filter((ex) => ex.originalDate !== occurrenceDate),
+        { originalDate: occurrenceDate, cancelled: true },
+      ];
+      await event.save();
+      await invalidateDashboard(req);
+      return res.json({ message: "Occurrence deleted successfully" });
+    }
+
+    if (scope === "following") {
+      endSeriesBefore(event, occurrenceDate);
+      await event.save();
+      await invalidateDashboard(req);
+      return res.json({ message: "Following occurrences deleted successfully" });
+    }
+
+    await event.deleteOne();
+    await invalidateDashboard(req);
     res.json({ message: "Event deleted successfully" });
   } catch (error) {
     console.error("Delete event error:", error);
@@ -100,29 +488,59 @@ router.delete("/events/:id", async (req, res) => {
 // Get study streaks
 router.get("/streaks", async (req, res) => {
   try {
-    const thirtyDaysAgo = new Date();
-    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    // Only days the streak rules count, so the calendar agrees with the
+    // streak history
+    const todayKey = toDayKey(new Date(), resolveTimezone(req.user));
+    const dates = await statsService.getStreakDays(req.userId, {
+      startKey: shiftDayKey(todayKey, -30),
+      endKey: todayKey,
+    });
 
-    const studySessions = await StudySession.find({
-      userId: req.userId,
-      endTime: { $gte: thirtyDaysAgo },
-      completed: true,
-    }).select("endTime"); // Select endTime instead of date
-
-    // Group by date and return unique dates
-    const streakDates = [
-      ...new Set(
-        studySessions.map(
-          (session) => session.endTime.toISOString().split("T")[0]
-        )
-      ),
-    ].map((dateStr) => ({ date: dateStr }));
-
-    res.json(streakDates);
+    // ?history=true adds streak rules, freezes and every past streak
+    if (req.query.history === "true") {
+      const streaks = await statsService.getStreakHistory(req.userId);
+      return res.json({ dates, ...streaks });
+    }
+
+    res.json(dates);
   } catch (error) {
     console.error("Get streaks error:", error);
     res.status(500).json({ message: "Failed to fetch study streaks" });
   }
 });
 
+// Get a year of daily study activity for a contribution grid.
+// ?year=2025 covers that calendar year; otherwise the last 365 days.
+router.get("/heatmap", async (req, res) => {
+  try {
+    const { year, subject } = req.query;
+    const timezone = resolveTimezone(req.user);
+
+    let startKey;
+    let endKey;
+    if (year) {
+      if (!/^\d{4}$/.test(year)) {
+        return res.status(400).json({ message: "Year must be a 4-digit number" });
+      }
+      startKey = `${year}-01-01`;
+      endKey = `${year}-12-31`;
+    } else {
+      endKey = toDayKey(new Date(), timezone);
+      startKey = shiftDayKey(endKey, -364);
+    }
+
+    const heatmap = await statsService.getHeatmap(req.userId, {
+      startKey,
+      endKey,
+      subject,
+      timezone,
+    });
+
+    res.json(heatmap);
+  } catch (error) {
+    console.error("Get heatmap error:", error);
+    res.status(500).json({ message: "Failed to fetch activity heatmap" });
+  }
+});
+
 export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+import User from "../models/User.js";
+import icsService from "../services/icsService.js";
+
+// Public iCalendar feed; the secret token in the URL stands in for a login
+const router = express.Router();
+
+router.get("/:token.ics", async (req, res) => {
+  try {
+    const user = await User.findOne({ calendarFeedToken: req.params.token });
+    if (!user) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    const calendar = await icsService.buildCalendar(user);
+    res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+    res.setHeader("Cache-Control", "private, max-age=900");
+    res.send(calendar);
+  } catch (error) {
+    console.error("Calendar feed error:", error);
+    res.status(500).json({ message: "Failed to build calendar feed" });
+  }
+});
+
+export default router;
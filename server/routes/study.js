@@ -2,25 +2,101 @@ import express from "express";
 import StudySession from "../models/StudySession.js";
 import Timetable from "../models/Timetable.js";
 import Note from "../models/Note.js";
-import User from "../models/User.js";
 import UserStudyState from "../models/UserStudyState.js";
-import CalendarEvent from "../models/CalendarEvent.js";
+import studyTimerService from "../services/studyTimerService.js";
+import statsService from "../services/statsService.js";
+import rollupService from "../services/rollupService.js";
+import goalService from "../services/goalService.js";
+import examPlanService from "../services/examPlanService.js";
+import eventAttendanceService from "../services/eventAttendanceService.js";
+import subjectService from "../services/subjectService.js";
+import exportService from "../services/exportService.js";
+import importService, { MAPPING_FIELDS } from "../services/importService.js";
+import reportService from "../services/reportService.js";
+import adherenceService, {
+  MAX_ADHERENCE_DAYS,
+} from "../services/adherenceService.js";
+import timetableHistoryService from "../services/timetableHistoryService.js";
+import templateService from "../services/templateService.js";
+import recurrenceService from "../services/recurrenceService.js";
+import timetableService, {
+  MAX_RESOLVE_DAYS,
+} from "../services/timetableService.js";
+import Goal from "../models/Goal.js";
+import TimetableTemplate from "../models/TimetableTemplate.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  startOfDay,
+  dayRange,
+  parseDayInput,
+  isValidTimezone,
+} from "../utils/timezone.js";
+import {
+  dashboardCacheKey,
+  timetablesCacheKey,
+  invalidateCache,
+} from "../utils/cache.js";
+import { singleUpload } from "../middleware/upload.js";
 import { v4 as uuidv4 } from "uuid";
 
 const router = express.Router();
 
+// Drop the cached dashboard so changed sessions show up immediately
+const invalidateDashboard = (req) => invalidateCache(req, dashboardCacheKey(req));
+
+// Everything derived from sessions after one is created, edited or deleted
+async function syncSessionChange(req, before, after) {
+  await statsService.applySessionChange(req.userId, before, after);
+  await eventAttendanceService.sync(before, after);
+  await invalidateDashboard(req);
+  await goalService.checkGoals(req.io, req.user);
+}
+
+// Client-reported elapsed time may drift this many seconds from the server
+// before it is reported back as reconciled
+const ELAPSED_TIME_TOLERANCE = 5;
+
+// Validate interval settings from the client, filling in Pomodoro defaults
+function parseIntervalConfig(config = {}) {
+  const fields = {
+    workDuration: 1500,
+    shortBreakDuration: 300,
+    longBreakDuration: 900,
+    totalIntervals: 4,
+    longBreakEvery: 4,
+  };
+
+  const parsed = {};
+  for (const [field, fallback] of Object.entries(fields)) {
+    const value = config[field] === undefined ? fallback : Number(config[field]);
+    if (!Number.isInteger(value) || value <= 0) {
+      return { error: `${field} must be a positive whole number` };
+    }
+    parsed[field] = value;
+  }
+
+  if (parsed.workDuration < 60) {
+    return { error: "workDuration must be at least 60 seconds" };
+  }
+
+  return { config: parsed };
+}
+
 // Get dashboard data
 router.get("/dashboard", async (req, res) => {
   try {
     const userId = req.userId;
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const timezone = resolveTimezone(req.user);
+    const {
+      dayKey: todayKey,
+      start: today,
+      end: tomorrow,
+    } = dayRange(new Date(), timezone);
 
     // Check Redis cache first
-    const cacheKey = `dashboard_${userId}_${today.toDateString()}`;
+    const cacheKey = dashboardCacheKey(req);
     const cachedData = await req.redis.get(cacheKey);
 
     if (cachedData) {
@@ -30,61 +106,59 @@ router.get("/dashboard", async (req, res) => {
     // Get today's study sessions
     const todaySessions = await StudySession.find({
       userId,
-      createdAt: { $gte: today, $lt: tomorrow },
+      startTime: { $gte: today, $lt: tomorrow },
     });
 
     // Get user stats
-    const user = await User.findById(userId);
+    const stats = await statsService.getStats(userId);
 
     // Get weekly data (last 7 days)
-    const weekStart = new Date(today);
-    weekStart.setDate(weekStart.getDate() - 6);
+    const weekStartKey = shiftDayKey(todayKey, -6);
 
-    const weeklySessions = await StudySession.find({
-      userId,
-      createdAt: { $gte: weekStart, $lt: tomorrow },
+    const weeklyStats = await statsService.getDailyStats(userId, {
+      start: startOfDay(weekStartKey, timezone),
+      end: today,
+      timezone,
     });
 
-    // Calculate daily totals for the week
+    // Fill in days without sessions
     const weeklyData = [];
     for (let i = 0; i < 7; i++) {
-      const date = new Date(weekStart);
-      date.setDate(date.getDate() + i);
-      const dayStart = new Date(date);
-      const dayEnd = new Date(date);
-      dayEnd.setDate(dayEnd.getDate() + 1);
-
-      const daySessions = weeklySessions.filter(
-        (session) => session.createdAt >= dayStart && session.createdAt < dayEnd
-      );
-
-      const totalMinutes = daySessions.reduce(
-        (sum, session) => sum + (session.actualTime || 0),
-        0
-      );
+      const dayKey = shiftDayKey(weekStartKey, i);
+      const day = weeklyStats.find((d) => d.date === dayKey);
 
       weeklyData.push({
-        day: date.toLocaleDateString("en", { weekday: "short" }),
-        hours: Math.round((totalMinutes / 60) * 10) / 10,
-        date: date.toISOString(),
+        day: new Date(`${dayKey}T00:00:00Z`).toLocaleDateString("en", {
+          weekday: "short",
+          timeZone: "UTC",
+        }),
+        hours: statsService.roundHours(day?.totalTime || 0),
+        date: startOfDay(dayKey, timezone).toISOString(),
       });
     }
 
+    // Daily breakdowns stay on /calendar/exams
+    const exams = await examPlanService.getUpcoming(req.user);
+    const upcomingExams = exams.map(({ plan, ...exam }) => ({
+      ...exam,
+      plan: plan && { ...plan, days: undefined },
+    }));
+
     const dashboardData = {
-      todayReading:
-        Math.round(
-          (todaySessions.reduce((sum, s) => sum + (s.actualTime || 0), 0) /
-            60) *
-            10
-        ) / 10,
+      todayReading: statsService.roundHours(
+        todaySessions.reduce((sum, s) => sum + (s.actualTime || 0), 0)
+      ),
       studySessions: todaySessions.length,
-      currentStreak: user?.stats?.currentStreak || 0,
-      highestStreak: user?.stats?.highestStreak || 0,
-      totalStudyHours: user?.stats?.totalStudyHours || 0,
-      totalSessions: user?.stats?.totalSessions || 0,
-      subjectsStudied: user?.stats?.subjectsStudied || [],
+      currentStreak: stats?.currentStreak || 0,
+      highestStreak: stats?.highestStreak || 0,
+      totalStudyHours: stats?.totalStudyHours || 0,
+      totalSessions: stats?.totalSessions || 0,
+      subjectsStudied: stats?.subjectsStudied || [],
       weeklyData,
       completedSubjects: todaySessions.filter((s) => s.completed),
+      goals: await goalService.getGoalsWithProgress(req.user),
+      upcomingExams,
+      examWarnings: examPlanService.warningsOf(exams),
     };
 
     // Cache for 5 minutes
@@ -106,7 +180,12 @@ router.get("/state", async (req, res) => {
       status: { $in: ["active", "paused"] },
     }).sort({ lastActiveAt: -1 });
 
-    res.json(activeSessions);
+    const now = new Date();
+    for (const session of activeSessions) {
+      await studyTimerService.advance(req.io, session, now);
+    }
+
+    res.json(activeSessions.map((session) => session.toTimerJSON(now)));
   } catch (error) {
     console.error("Get study state error:", error);
     res.status(500).json({ message: "Failed to fetch study state" });
@@ -129,52 +208,112 @@ router.get("/state/:sessionId", async (req, res) => {
       return res.status(404).json({ message: "Session not found" });
     }
 
-    res.json(session);
+    const now = new Date();
+    await studyTimerService.advance(req.io, session, now);
+    res.json(session.toTimerJSON(now));
   } catch (error) {
     console.error("Get session error:", error);
     res.status(500).json({ message: "Failed to fetch session" });
   }
 });
 
-// Start new study session
+// Start new study session. With `eventId` (and `occurrenceDate` for
+// recurring events) the session is linked to a study event, which fills
+// in the subject and a target from its start and end times.
 router.post("/state/start", async (req, res) => {
   try {
-    const { subject, targetTime = 3600 } = req.body;
+    const { mode = "countdown", interval } = req.body;
+    let { targetTime = 3600 } = req.body;
     const userId = req.userId;
 
+    let occurrence = null;
+    if (req.body.eventId) {
+      const result = await eventAttendanceService.findOccurrence(
+        userId,
+        req.body.eventId,
+        req.body.occurrenceDate,
+        toDayKey(new Date(), resolveTimezone(req.user))
+      );
+      if (result.error) {
+        return res.status(result.status).json({ message: result.error });
+      }
+      occurrence = result.occurrence;
+
+      const plannedMinutes = eventAttendanceService.plannedMinutes(occurrence);
+      if (req.body.targetTime === undefined && plannedMinutes) {
+        targetTime = plannedMinutes * 60;
+      }
+    }
+
+    const subject = await subjectService.resolve(
+      userId,
+      req.body.subject ?? occurrence?.subject,
+      req.body.subjectId ?? occurrence?.subjectId
+    );
     if (!subject) {
       return res.status(400).json({ message: "Subject is required" });
     }
 
+    if (!["countdown", "interval"].includes(mode)) {
+      return res
+        .status(400)
+        .json({ message: "Mode must be either countdown or interval" });
+    }
+
+    let intervalConfig = null;
+    if (mode === "interval") {
+      const { config, error } = parseIntervalConfig(interval);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+      intervalConfig = config;
+      targetTime = config.workDuration * config.totalIntervals;
+    }
+
     // Check if there's already an active session for this subject
     const existingSession = await UserStudyState.findOne({
       userId,
-      subject,
+      subjectId: subject._id,
       status: { $in: ["active", "paused"] },
     });
 
     if (existingSession) {
       // Resume existing session
-      existingSession.status = "active";
-      existingSession.lastActiveAt = new Date();
+      const now = new Date();
+      existingSession.transitionTo("active", now);
+      existingSession.lastActiveAt = now;
+      if (occurrence && !existingSession.eventId) {
+        existingSession.eventId = occurrence._id;
+        existingSession.occurrenceDate = occurrence.occurrenceDate;
+      }
       await existingSession.save();
-      return res.json(existingSession);
+      return res.json(existingSession.toTimerJSON(now));
     }
 
     // Create new session
+    const now = new Date();
     const sessionId = uuidv4();
     const newSession = new UserStudyState({
       userId,
-      subject,
+      subject: subject.name,
+      subjectId: subject._id,
       targetTime,
       sessionId,
-      status: "active",
-      startTime: new Date(),
-      lastActiveAt: new Date(),
+      startTime: now,
+      lastActiveAt: now,
+      mode,
+      eventId: occurrence?._id || null,
+      occurrenceDate: occurrence?.occurrenceDate || null,
+      interval: intervalConfig && {
+        ...intervalConfig,
+        phase: "work",
+        phaseStartedAt: now,
+      },
     });
+    newSession.transitionTo("active", now);
 
     await newSession.save();
-    res.status(201).json(newSession);
+    res.status(201).json(newSession.toTimerJSON(now));
   } catch (error) {
     console.error("Start session error:", error);
     res.status(500).json({ message: "Failed to start session" });
@@ -198,13 +337,34 @@ router.put("/state/:sessionId", async (req, res) => {
       return res.status(404).json({ message: "Session not found" });
     }
 
-    if (status) session.status = status;
-    if (elapsedTime !== undefined) session.elapsedTime = elapsedTime;
+    if (status && !["active", "paused"].includes(status)) {
+      return res
+        .status(400)
+        .json({ message: "Status must be either active or paused" });
+    }
+
+    const now = new Date();
+    await studyTimerService.advance(req.io, session, now);
+    if (status) session.transitionTo(status, now);
     if (notes !== undefined) session.notes = notes;
-    session.lastActiveAt = new Date();
+
+    // The segment log is authoritative; the client's value is only compared
+    const serverElapsed = session.computeElapsedTime(now);
+    session.elapsedTime = serverElapsed;
+    session.lastActiveAt = now;
 
     await session.save();
-    res.json(session);
+
+    const response = session.toTimerJSON(now);
+    if (
+      elapsedTime !== undefined &&
+      Math.abs(Number(elapsedTime) - serverElapsed) > ELAPSED_TIME_TOLERANCE
+    ) {
+      response.reconciled = true;
+      response.clientElapsedTime = Number(elapsedTime);
+    }
+
+    res.json(response);
   } catch (error) {
     console.error("Update session error:", error);
     res.status(500).json({ message: "Failed to update session" });
@@ -228,16 +388,33 @@ router.post("/state/:sessionId/end", async (req, res) => {
       return res.status(404).json({ message: "Session not found" });
     }
 
+    const now = new Date();
+    await studyTimerService.advance(req.io, session, now);
+    session.closeSegment(now);
+    let actualTime = session.computeElapsedTime(now);
+
+    // Interval sessions only count focus time as study time
+    let intervalSummary = {};
+    if (session.mode === "interval" && session.interval) {
+      intervalSummary = session.summarizePhases(now);
+      actualTime = intervalSummary.focusTime;
+    }
+
     // Create StudySession record
     const studySession = new StudySession({
       userId,
       subject: session.subject,
-      actualTime: session.elapsedTime,
+      subjectId: session.subjectId,
+      actualTime,
       targetTime: session.targetTime,
       startTime: session.startTime,
-      endTime: new Date(),
+      endTime: now,
       completed: true,
       notes: notes || session.notes,
+      mode: session.mode,
+      eventId: session.eventId,
+      occurrenceDate: session.occurrenceDate,
+      ...intervalSummary,
     });
 
     await studySession.save();
@@ -246,7 +423,7 @@ router.post("/state/:sessionId/end", async (req, res) => {
     await UserStudyState.deleteOne({ _id: session._id });
 
     // Update user stats
-    await updateUserStats(userId, session.elapsedTime, session.subject);
+    await syncSessionChange(req, null, studySession);
 
     res.json({
       message: "Session completed successfully",
@@ -258,189 +435,142 @@ router.post("/state/:sessionId/end", async (req, res) => {
   }
 });
 
-// Delete/cancel session
-router.delete("/state/:sessionId", async (req, res) => {
+// Skip the rest of the current interval phase (e.g. end a break early)
+router.post("/state/:sessionId/phase/skip", async (req, res) => {
   try {
     const { sessionId } = req.params;
     const userId = req.userId;
 
-    const result = await UserStudyState.deleteOne({
+    const session = await UserStudyState.findOne({
       userId,
       sessionId,
+      status: { $in: ["active", "paused"] },
     });
 
-    if (result.deletedCount === 0) {
+    if (!session) {
       return res.status(404).json({ message: "Session not found" });
     }
 
-    res.json({ message: "Session cancelled successfully" });
-  } catch (error) {
-    console.error("Delete session error:", error);
-    res.status(500).json({ message: "Failed to cancel session" });
-  }
-});
-
-// Helper function to update user stats
-async function updateUserStats(userId, sessionTime, subject) {
-  try {
-    const user = await User.findById(userId);
-    if (!user) return;
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    if (session.mode !== "interval") {
+      return res
+        .status(400)
+        .json({ message: "Only interval sessions have phases" });
+    }
 
-    // Update total study time and hours
-    user.stats.totalStudyTime = (user.stats.totalStudyTime || 0) + sessionTime;
-    user.stats.totalStudyHours = Math.round((user.stats.totalStudyTime / 3600) * 100) / 100;
-    user.stats.totalSessions = (user.stats.totalSessions || 0) + 1;
+    const now = new Date();
+    await studyTimerService.advance(req.io, session, now);
 
-    // Update subjects studied
-    if (!user.stats.subjectsStudied.includes(subject)) {
-      user.stats.subjectsStudied.push(subject);
+    const transition = session.skipPhase(now);
+    if (!transition) {
+      return res
+        .status(400)
+        .json({ message: "All intervals are already complete" });
     }
 
-    // Update daily stats
-    let todayStats = user.stats.dailyStats.find(stat => 
-      stat.date.toDateString() === today.toDateString()
-    );
+    session.lastActiveAt = now;
+    await session.save();
+    studyTimerService.emitPhaseTransitions(req.io, session, [transition]);
 
-    if (!todayStats) {
-      todayStats = {
-        date: today,
-        totalTime: 0,
-        sessions: 0,
-        subjects: []
-      };
-      user.stats.dailyStats.push(todayStats);
-    }
-
-    todayStats.totalTime += sessionTime;
-    todayStats.sessions += 1;
-
-    // Update subject stats for today
-    let subjectStats = todayStats.subjects.find(s => s.name === subject);
-    if (!subjectStats) {
-      subjectStats = { name: subject, time: 0, sessions: 0 };
-      todayStats.subjects.push(subjectStats);
-    }
-    subjectStats.time += sessionTime;
-    subjectStats.sessions += 1;
-
-    // Update streak
-    const lastStudyDate = user.stats.lastStudyDate;
-    if (!lastStudyDate || lastStudyDate < today) {
-      const yesterday = new Date(today);
-      yesterday.setDate(yesterday.getDate() - 1);
-
-      if (lastStudyDate && lastStudyDate >= yesterday) {
-        // Consecutive day
-        user.stats.currentStreak = (user.stats.currentStreak || 0) + 1;
-      } else {
-        // New streak
-        user.stats.currentStreak = 1;
-      }
+    res.json(session.toTimerJSON(now));
+  } catch (error) {
+    console.error("Skip phase error:", error);
+    res.status(500).json({ message: "Failed to skip phase" });
+  }
+});
 
-      user.stats.lastStudyDate = today;
+// Delete/cancel session
+router.delete("/state/:sessionId", async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const userId = req.userId;
 
-      // Update highest streak
-      if (user.stats.currentStreak > (user.stats.highestStreak || 0)) {
-        user.stats.highestStreak = user.stats.currentStreak;
-      }
-    }
+    const result = await UserStudyState.deleteOne({
+      userId,
+      sessionId,
+    });
 
-    // Keep only last 30 days of daily stats
-    user.stats.dailyStats = user.stats.dailyStats
-      .filter(stat => {
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        return stat.date >= thirtyDaysAgo;
-      })
-      .sort((a, b) => b.date - a.date);
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Session not found" });
+    }
 
-    await user.save();
+    res.json({ message: "Session cancelled successfully" });
   } catch (error) {
-    console.error("Update user stats error:", error);
+    console.error("Delete session error:", error);
+    res.status(500).json({ message: "Failed to cancel session" });
   }
-}
+});
 
 // Get enhanced analytics
 router.get("/analytics", async (req, res) => {
   try {
     const userId = req.userId;
-    const { period = 'week', subject, startDate, endDate } = req.query;
+    const {
+      period = "week",
+      subject,
+      startDate,
+      endDate,
+      bucket = "day",
+    } = req.query;
+
+    if (!["day", "week", "month"].includes(bucket)) {
+      return res
+        .status(400)
+        .json({ message: "Bucket must be one of day, week or month" });
+    }
 
-    const user = await User.findById(userId);
-    if (!user) {
+    const stats = await statsService.getStats(userId);
+    if (!stats) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    let dateFilter = {};
+    const timezone = resolveTimezone(req.user);
+    let start;
+    let end;
     const now = new Date();
 
     if (startDate && endDate) {
-      dateFilter = {
-        date: {
-          $gte: new Date(startDate),
-          $lte: new Date(endDate)
-        }
-      };
+      start = parseDayInput(startDate, timezone);
+      end = parseDayInput(endDate, timezone);
     } else {
+      start = new Date(now);
       switch (period) {
-        case 'month':
-          const monthAgo = new Date(now);
-          monthAgo.setMonth(monthAgo.getMonth() - 1);
-          dateFilter = { date: { $gte: monthAgo } };
+        case "month":
+          start.setMonth(start.getMonth() - 1);
           break;
-        case 'year':
-          const yearAgo = new Date(now);
-          yearAgo.setFullYear(yearAgo.getFullYear() - 1);
-          dateFilter = { date: { $gte: yearAgo } };
+        case "year":
+          start.setFullYear(start.getFullYear() - 1);
           break;
-        case 'week':
+        case "week":
         default:
-          const weekAgo = new Date(now);
-          weekAgo.setDate(weekAgo.getDate() - 7);
-          dateFilter = { date: { $gte: weekAgo } };
+          start.setDate(start.getDate() - 7);
       }
     }
 
-    // Filter daily stats
-    let dailyStats = user.stats.dailyStats.filter(stat => {
-      if (dateFilter.date) {
-        return stat.date >= dateFilter.date.$gte && 
-               (!dateFilter.date.$lte || stat.date <= dateFilter.date.$lte);
-      }
-      return true;
+    const dailyStats = await statsService.getDailyStats(userId, {
+      start,
+      end,
+      subject,
+      timezone,
     });
 
-    // Filter by subject if specified
-    if (subject) {
-      dailyStats = dailyStats.map(day => ({
-        ...day.toObject(),
-        subjects: day.subjects.filter(s => s.name === subject),
-        totalTime: day.subjects
-          .filter(s => s.name === subject)
-          .reduce((sum, s) => sum + s.time, 0),
-        sessions: day.subjects
-          .filter(s => s.name === subject)
-          .reduce((sum, s) => sum + s.sessions, 0)
-      })).filter(day => day.subjects.length > 0);
-    }
-
     // Calculate summary stats
     const totalTime = dailyStats.reduce((sum, day) => sum + day.totalTime, 0);
     const totalSessions = dailyStats.reduce((sum, day) => sum + day.sessions, 0);
+    const completedSessions = dailyStats.reduce(
+      (sum, day) => sum + day.completedSessions,
+      0
+    );
     const averageSessionTime = totalSessions > 0 ? totalTime / totalSessions : 0;
 
     // Subject breakdown
     const subjectBreakdown = {};
-    dailyStats.forEach(day => {
-      day.subjects.forEach(subj => {
+    dailyStats.forEach((day) => {
+      day.subjects.forEach((subj) => {
         if (!subjectBreakdown[subj.name]) {
           subjectBreakdown[subj.name] = {
             totalTime: 0,
             sessions: 0,
-            averageTime: 0
+            averageTime: 0,
           };
         }
         subjectBreakdown[subj.name].totalTime += subj.time;
@@ -449,7 +579,7 @@ router.get("/analytics", async (req, res) => {
     });
 
     // Calculate averages
-    Object.keys(subjectBreakdown).forEach(subject => {
+    Object.keys(subjectBreakdown).forEach((subject) => {
       const data = subjectBreakdown[subject];
       data.averageTime = data.sessions > 0 ? data.totalTime / data.sessions : 0;
     });
@@ -459,19 +589,24 @@ router.get("/analytics", async (req, res) => {
         totalTime,
         totalSessions,
         averageSessionTime,
-        totalHours: Math.round((totalTime / 3600) * 100) / 100,
+        totalHours: statsService.roundHours(totalTime),
+        completedSessions,
         daysActive: dailyStats.length,
-        period
+        period,
+        startDate: start,
+        endDate: end || now,
+        bucket,
       },
-      dailyStats: dailyStats.sort((a, b) => new Date(a.date) - new Date(b.date)),
+      dailyStats,
+      buckets: rollupService.bucketize(dailyStats, bucket),
       subjectBreakdown,
       userStats: {
-        totalStudyHours: user.stats.totalStudyHours,
-        totalSessions: user.stats.totalSessions,
-        currentStreak: user.stats.currentStreak,
-        highestStreak: user.stats.highestStreak,
-        subjectsStudied: user.stats.subjectsStudied
-      }
+        totalStudyHours: stats.totalStudyHours,
+        totalSessions: stats.totalSessions,
+        currentStreak: stats.currentStreak,
+        highestStreak: stats.highestStreak,
+        subjectsStudied: stats.subjectsStudied,
+      },
     });
   } catch (error) {
     console.error("Analytics error:", error);
@@ -479,6 +614,32 @@ router.get("/analytics", async (req, res) => {
   }
 });
 
+// Get stats derived from study sessions
+router.get("/stats", async (req, res) => {
+  try {
+    const stats = await statsService.getStats(req.userId);
+    if (!stats) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(stats);
+  } catch (error) {
+    console.error("Get stats error:", error);
+    res.status(500).json({ message: "Failed to fetch stats" });
+  }
+});
+
+// Recompute all stats from scratch
+router.post("/stats/rebuild", async (req, res) => {
+  try {
+    await statsService.rebuild(req.userId);
+    await invalidateDashboard(req);
+    res.json(await statsService.getStats(req.userId));
+  } catch (error) {
+    console.error("Rebuild stats error:", error);
+    res.status(500).json({ message: "Failed to rebuild stats" });
+  }
+});
+
 router.get("/sessions", async (req, res) => {
   try {
     const { date, subject, page = 1, limit = 20 } = req.query;
@@ -487,10 +648,9 @@ router.get("/sessions", async (req, res) => {
     const query = { userId };
 
     if (date) {
-      const startOfDay = new Date(date);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
-      query.createdAt = { $gte: startOfDay, $lte: endOfDay };
+      const timezone = resolveTimezone(req.user);
+      const { start, end } = dayRange(parseDayInput(date, timezone), timezone);
+      query.startTime = { $gte: start, $lt: end };
     }
 
     if (subject) {
@@ -521,13 +681,11 @@ router.get("/sessions", async (req, res) => {
 router.get("/sessions/today", async (req, res) => {
   try {
     const userId = req.userId;
-    const today = new Date();
-    const startOfDay = new Date(today.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(today.setHours(23, 59, 59, 999));
+    const { start, end } = dayRange(new Date(), resolveTimezone(req.user));
 
     const sessions = await StudySession.find({
       userId,
-      createdAt: { $gte: startOfDay, $lte: endOfDay },
+      startTime: { $gte: start, $lt: end },
     }).sort({ createdAt: -1 });
 
     res.json(sessions);
@@ -622,6 +780,149 @@ router.get("/sessions/stats", async (req, res) => {
   }
 });
 
+// GET /api/study/report?period=week|month&date=YYYY-MM-DD&format=html|pdf|json
+// Summary of the week or month containing `date` (default: today)
+router.get("/report", async (req, res) => {
+  try {
+    const { period = "week", format = "html", date } = req.query;
+    if (!["week", "month"].includes(period)) {
+      return res.status(400).json({ message: "Period must be week or month" });
+    }
+    if (!["html", "pdf", "json"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: "Format must be html, pdf or json" });
+    }
+
+    const at = date ? parseDayInput(date, resolveTimezone(req.user)) : new Date();
+    if (isNaN(at)) {
+      return res.status(400).json({ message: "Invalid date" });
+    }
+
+    const report = await reportService.buildReport(req.user, {
+      period,
+      date: at,
+    });
+
+    if (format === "json") {
+      return res.json(report);
+    }
+
+    const filename = `study-report-${report.startKey}.${format}`;
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+      return res.send(reportService.renderPdf(report));
+    }
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+    res.send(reportService.renderHtml(report));
+  } catch (error) {
+    console.error("Generate report error:", error);
+    res.status(500).json({ message: "Failed to generate report" });
+  }
+});
+
+// GET /api/study/export/sessions?format=csv|json&start=YYYY-MM-DD&end=YYYY-MM-DD
+// Both dates are optional and inclusive local days
+router.get("/export/sessions", async (req, res) => {
+  try {
+    const { format = "csv", start, end } = req.query;
+    if (!["csv", "json"].includes(format)) {
+      return res.status(400).json({ message: "Format must be csv or json" });
+    }
+
+    const timezone = resolveTimezone(req.user);
+    const range = {};
+    if (start) range.start = parseDayInput(start, timezone);
+    if (end) {
+      range.end = /^\d{4}-\d{2}-\d{2}$/.test(end)
+        ? startOfDay(shiftDayKey(end, 1), timezone)
+        : new Date(end);
+    }
+    if ([range.start, range.end].some((date) => date && isNaN(date))) {
+      return res.status(400).json({ message: "Invalid start or end date" });
+    }
+
+    const filename = `study-sessions-${toDayKey(new Date(), timezone)}.${format}`;
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      await exportService.streamSessionsCsv(res, req.userId, range);
+    } else {
+      res.setHeader("Content-Type", "application/json; charset=utf-8");
+      await exportService.streamSessionsJson(res, req.userId, range);
+    }
+  } catch (error) {
+    console.error("Export sessions error:", error);
+    // Once streaming has begun the only signal left is a cut connection
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: "Failed to export sessions" });
+  }
+});
+
+// POST /api/study/import
+// Accepts a CSV upload ("file") or raw text ("csv"). Optional fields:
+// format (toggl | generic, detected when omitted), mapping (JSON object of
+// column names), timezone (of the exported times) and dryRun.
+router.post("/import", singleUpload("file"), async (req, res) => {
+  try {
+    const text = req.file ? req.file.buffer.toString("utf8") : req.body.csv;
+    if (!text || typeof text !== "string") {
+      return res.status(400).json({ message: "A CSV file is required" });
+    }
+
+    const { format, timezone } = req.body;
+    if (format && !["toggl", "generic"].includes(format)) {
+      return res
+        .status(400)
+        .json({ message: "Format must be either toggl or generic" });
+    }
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: "Invalid timezone" });
+    }
+
+    let mapping = req.body.mapping;
+    if (typeof mapping === "string") {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch {
+        return res.status(400).json({ message: "Mapping must be valid JSON" });
+      }
+    }
+    mapping = Object.fromEntries(
+      Object.entries(mapping || {}).filter(
+        ([field, column]) => MAPPING_FIELDS.includes(field) && column
+      )
+    );
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(
+      (value) => value === true || value === "true"
+    );
+
+    const report = await importService.importCsv(req.userId, text, {
+      format,
+      mapping,
+      timezone: timezone || resolveTimezone(req.user),
+      dryRun,
+    });
+    if (report.error) {
+      return res.status(400).json({ message: report.error, ...report });
+    }
+
+    if (!dryRun && report.imported > 0) {
+      await invalidateDashboard(req);
+    }
+
+    res.status(dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    console.error("Import sessions error:", error);
+    res.status(500).json({ message: "Failed to import sessions" });
+  }
+});
+
 // POST /api/study/sessions
 router.post("/sessions", async (req, res) => {
   try {
@@ -636,7 +937,12 @@ router.post("/sessions", async (req, res) => {
     } = req.body;
     const userId = req.userId;
 
-    if (!subject || actualTime === undefined) {
+    const resolved = await subjectService.resolve(
+      userId,
+      subject,
+      req.body.subjectId
+    );
+    if (!resolved || actualTime === undefined) {
       return res
         .status(400)
         .json({ message: "Subject and actualTime are required" });
@@ -644,7 +950,8 @@ router.post("/sessions", async (req, res) => {
 
     const session = await StudySession.create({
       userId,
-      subject,
+      subject: resolved.name,
+      subjectId: resolved._id,
       actualTime,
       targetTime: targetTime || null,
       startTime: startTime ? new Date(startTime) : new Date(),
@@ -654,7 +961,7 @@ router.post("/sessions", async (req, res) => {
     });
 
     // Update user stats
-    await updateUserStats(userId, actualTime, subject);
+    await syncSessionChange(req, null, session);
 
     res.status(201).json(session);
   } catch (error) {
@@ -677,7 +984,19 @@ router.put("/sessions/:id", async (req, res) => {
       return res.status(404).json({ message: "Study session not found" });
     }
 
-    session.subject = subject || session.subject;
+    const before = session.toObject();
+
+    if (subject || req.body.subjectId) {
+      const resolved = await subjectService.resolve(
+        userId,
+        subject,
+        req.body.subjectId
+      );
+      if (resolved) {
+        session.subject = resolved.name;
+        session.subjectId = resolved._id;
+      }
+    }
     session.actualTime =
       actualTime !== undefined ? actualTime : session.actualTime;
     session.startTime = startTime ? new Date(startTime) : session.startTime;
@@ -686,6 +1005,9 @@ router.put("/sessions/:id", async (req, res) => {
     session.notes = notes !== undefined ? notes : session.notes;
 
     await session.save();
+
+    await syncSessionChange(req, before, session);
+
     res.json(session);
   } catch (error) {
     console.error("Error updating study session:", error);
@@ -705,6 +1027,9 @@ router.delete("/sessions/:id", async (req, res) => {
     }
 
     await session.deleteOne();
+
+    await syncSessionChange(req, session, null);
+
     res.json({ message: "Study session deleted successfully" });
   } catch (error) {
     console.error("Error deleting study session:", error);
@@ -712,6 +1037,143 @@ router.delete("/sessions/:id", async (req, res) => {
   }
 });
 
+// Validate goal fields; `existing` is the goal being edited, if any
+function parseGoalInput(body, existing = {}) {
+  const merged = { ...existing, ...body };
+  const { period, scope = "overall", subject, targetMinutes, startDate, deadline } =
+    merged;
+
+  if (!["daily", "weekly", "monthly", "custom"].includes(period)) {
+    return { error: "Period must be daily, weekly, monthly or custom" };
+  }
+  if (!["overall", "subject"].includes(scope)) {
+    return { error: "Scope must be overall or subject" };
+  }
+  if (scope === "subject" && !subject?.trim()) {
+    return { error: "Subject is required for subject goals" };
+  }
+  if (!Number.isFinite(Number(targetMinutes)) || Number(targetMinutes) < 1) {
+    return { error: "Target minutes must be at least 1" };
+  }
+  if (period === "custom" && !deadline) {
+    return { error: "Custom goals need a deadline" };
+  }
+  if (deadline && isNaN(new Date(deadline))) {
+    return { error: "Deadline must be a valid date" };
+  }
+  if (startDate && isNaN(new Date(startDate))) {
+    return { error: "Start date must be a valid date" };
+  }
+  // New goals start now unless told otherwise
+  if (period === "custom" && new Date(deadline) <= new Date(startDate || Date.now())) {
+    return { error: "Deadline must be after the start date" };
+  }
+
+  const goal = {
+    period,
+    scope,
+    subject: scope === "subject" ? subject.trim() : undefined,
+    targetMinutes: Number(targetMinutes),
+    deadline: deadline ? new Date(deadline) : null,
+  };
+  if (body.title !== undefined) goal.title = body.title?.trim() || "";
+  if (body.isActive !== undefined) goal.isActive = !!body.isActive;
+  if (body.startDate) goal.startDate = new Date(body.startDate);
+
+  return { goal };
+}
+
+// GET /api/study/goals
+router.get("/goals", async (req, res) => {
+  try {
+    res.json(await goalService.getGoalsWithProgress(req.user));
+  } catch (error) {
+    console.error("Get goals error:", error);
+    res.status(500).json({ message: "Failed to fetch goals" });
+  }
+});
+
+// POST /api/study/goals
+router.post("/goals", async (req, res) => {
+  try {
+    const { goal: fields, error } = parseGoalInput(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (fields.scope === "subject") {
+      const subject = await subjectService.resolve(req.userId, fields.subject);
+      fields.subject = subject.name;
+      fields.subjectId = subject._id;
+    }
+
+    const goal = await Goal.create({ ...fields, userId: req.userId });
+    await invalidateDashboard(req);
+
+    res
+      .status(201)
+      .json(
+        await goalService.computeProgress(goal, resolveTimezone(req.user))
+      );
+  } catch (error) {
+    console.error("Create goal error:", error);
+    res.status(500).json({ message: "Failed to create goal" });
+  }
+});
+
+// PUT /api/study/goals/:id
+router.put("/goals/:id", async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.userId });
+    if (!goal) {
+      return res.status(404).json({ message: "Goal not found" });
+    }
+
+    const { goal: fields, error } = parseGoalInput(req.body, goal.toObject());
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    if (fields.scope === "subject") {
+      const subject = await subjectService.resolve(req.userId, fields.subject);
+      fields.subject = subject.name;
+      fields.subjectId = subject._id;
+    } else {
+      fields.subjectId = null;
+    }
+
+    goal.set(fields);
+    // Targets changed, so earlier alerts no longer apply
+    goal.notified = { met: null, behind: null };
+    await goal.save();
+    await invalidateDashboard(req);
+
+    res.json(await goalService.computeProgress(goal, resolveTimezone(req.user)));
+  } catch (error) {
+    console.error("Update goal error:", error);
+    res.status(500).json({ message: "Failed to update goal" });
+  }
+});
+
+// DELETE /api/study/goals/:id
+router.delete("/goals/:id", async (req, res) => {
+  try {
+    const goal = await Goal.findOneAndDelete({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (!goal) {
+      return res.status(404).json({ message: "Goal not found" });
+    }
+
+    await invalidateDashboard(req);
+    res.json({ message: "Goal deleted successfully" });
+  } catch (error) {
+    console.error("Delete goal error:", error);
+    res.status(500).json({ message: "Failed to delete goal" });
+  }
+});
+
 router.get("/quote", async (req, res) => {
   try {
     const response = await fetch("https://zenquotes.io/api/random");
@@ -726,18 +1188,14 @@ router.get("/quote", async (req, res) => {
 router.get("/notifications/calendar", async (req, res) => {
   try {
     const userId = req.userId;
-    const today = new Date();
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    
+    const todayKey = toDayKey(new Date(), resolveTimezone(req.user));
+
     // Get today's and tomorrow's events
-    const upcomingEvents = await CalendarEvent.find({
+    const upcomingEvents = await recurrenceService.findOccurrences(
       userId,
-      date: {
-        $gte: today,
-        $lte: tomorrow
-      }
-    }).sort({ date: 1, startTime: 1 });
+      todayKey,
+      shiftDayKey(todayKey, 1)
+    );
 
     res.json({
       events: upcomingEvents,
@@ -752,7 +1210,7 @@ router.get("/notifications/calendar", async (req, res) => {
 // Get timetables
 router.get("/timetables", async (req, res) => {
   try {
-    const cacheKey = `timetable_active_${req.userId}`;
+    const cacheKey = timetablesCacheKey(req);
     const cached = await req.redis.get(cacheKey);
 
     if (cached) {
@@ -776,53 +1234,410 @@ router.get("/timetables", async (req, res) => {
   }
 });
 
-// Create timetable
-router.post("/timetables", async (req, res) => {
+// GET /api/study/timetables/adherence?start=YYYY-MM-DD&end=YYYY-MM-DD
+// How well the active timetable was followed; defaults to this week so far
+router.get("/timetables/adherence", async (req, res) => {
   try {
-    const { name, description, schedule, isActive } = req.body;
+    const timezone = resolveTimezone(req.user);
+    const todayKey = toDayKey(new Date(), timezone);
+    const { start, end } = req.query;
 
-    if (!name || !schedule || typeof schedule !== "object") {
+    const dayKeyPattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((start && !dayKeyPattern.test(start)) || (end && !dayKeyPattern.test(end))) {
       return res
         .status(400)
-        .json({ message: "Name and schedule are required and must be valid." });
+        .json({ message: "Dates must be in YYYY-MM-DD format" });
     }
 
-    const allowedDays = [
-      "monday",
-      "tuesday",
-      "wednesday",
-      "thursday",
-      "friday",
-      "saturday",
-      "sunday",
-    ];
-    const sanitizedSchedule = {};
-
-    // Sanitize each day's schedule
-    for (const day of allowedDays) {
-      if (Array.isArray(schedule[day])) {
-        sanitizedSchedule[day] = schedule[day]
-          .map((slot) => ({
-            time: slot.time || "",
-            subject: slot.subject?.trim() || "",
-            duration: Number(slot.duration) || 60,
-          }))
-          .filter((slot) => slot.time && slot.subject);
-      } else {
-        sanitizedSchedule[day] = [];
-      }
+    const endKey = end || todayKey;
+    const startKey = start || adherenceService.weekOf(endKey);
+    if (startKey > endKey) {
+      return res.status(400).json({ message: "Start must be before end" });
+    }
+    if (shiftDayKey(startKey, MAX_ADHERENCE_DAYS) <= endKey) {
+      return res.status(400).json({
+        message: `Range can be at most ${MAX_ADHERENCE_DAYS} days`,
+      });
+    }
+
+    const adherence = await adherenceService.getAdherence(req.user, {
+      startKey,
+      endKey,
+    });
+    if (!adherence) {
+      return res.status(404).json({ message: "No active timetable" });
+    }
+
+    res.json(adherence);
+  } catch (error) {
+    console.error("Get timetable adherence error:", error);
+    res.status(500).json({ message: "Failed to fetch timetable adherence" });
+  }
+});
+
+// GET /timetables serves a cached list; drop it after any change
+const invalidateTimetables = (req) => invalidateCache(req, timetablesCacheKey(req));
+
+// GET /api/study/timetables/schedule?start=YYYY-MM-DD&end=YYYY-MM-DD&timetableId=
+// Effective slots per date with overrides applied; defaults to today and
+// the active timetable
+router.get("/timetables/schedule", async (req, res) => {
+  try {
+    const todayKey = toDayKey(new Date(), resolveTimezone(req.user));
+    const { start = todayKey, timetableId } = req.query;
+    const end = req.query.end || start;
+
+    const dayKeyPattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!dayKeyPattern.test(start) || !dayKeyPattern.test(end)) {
+      return res
+        .status(400)
+        .json({ message: "Dates must be in YYYY-MM-DD format" });
+    }
+    if (start > end) {
+      return res.status(400).json({ message: "Start must be before end" });
+    }
+    if (shiftDayKey(start, MAX_RESOLVE_DAYS) <= end) {
+      return res.status(400).json({
+        message: `Range can be at most ${MAX_RESOLVE_DAYS} days`,
+      });
+    }
+
+    const timetable = await Timetable.findOne(
+      timetableId
+        ? { _id: timetableId, userId: req.userId }
+        : { userId: req.userId, isActive: true }
+    );
+    if (!timetable) {
+      return res.status(404).json({ message: "Timetable not found" });
+    }
+
+    res.json({
+      timetable: { _id: timetable._id, name: timetable.name },
+      days: timetableService.resolveRange(timetable, start, end),
+    });
+  } catch (error) {
+    console.error("Resolve timetable error:", error);
+    res.status(500).json({ message: "Failed to resolve timetable" });
+  }
+});
+
+// POST /api/study/timetables/:id/overrides
+// { date, action: cancel | move | add, slotId, toDate, time, subject, duration, note }
+router.post("/timetables/:id/overrides", async (req, res) => {
+  try {
+    const timetable = await Timetable.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (!timetable) {
+      return res.status(404).json({ message: "Timetable not found" });
+    }
+
+    const { override, error } = timetableService.prepareOverride(
+      timetable,
+      req.body
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const errors = timetableService.findOverrideErrors(timetable, override);
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ message: "Override conflicts with the schedule", errors });
+    }
+
+    if (override.action === "add") {
+      const subject = await subjectService.resolve(
+        req.userId,
+        override.subject,
+        override.subjectId
+      );
+      override.subject = subject.name;
+      override.subjectId = subject._id;
     }
 
-    // Create new timetable
-    const timetable = new Timetable({
+    await timetableHistoryService.ensureBaseline(timetable);
+    timetable.overrides.push(override);
+    await timetable.save();
+    await timetableHistoryService.record(timetable, "override");
+    await invalidateTimetables(req);
+
+    const saved = timetable.overrides[timetable.overrides.length - 1];
+    res.status(201).json({
+      override: saved,
+      days: [...new Set([saved.date, saved.toDate].filter(Boolean))].map(
+        (date) => timetableService.resolveRange(timetable, date, date)[0]
+      ),
+    });
+  } catch (error) {
+    console.error("Add timetable override error:", error);
+    res.status(500).json({ message: "Failed to add override" });
+  }
+});
+
+// DELETE /api/study/timetables/:id/overrides/:overrideId
+router.delete("/timetables/:id/overrides/:overrideId", async (req, res) => {
+  try {
+    const timetable = await Timetable.findOne({
+      _id: req.params.id,
       userId: req.userId,
-      name: name.trim(),
-      description: description?.trim() || "",
-      schedule: sanitizedSchedule,
-      isActive: !!isActive,
     });
+    const override = timetable?.overrides.id(req.params.overrideId);
+    if (!override) {
+      return res.status(404).json({ message: "Override not found" });
+    }
 
+    await timetableHistoryService.ensureBaseline(timetable);
+    override.deleteOne();
     await timetable.save();
+    await timetableHistoryService.record(timetable, "override");
+    await invalidateTimetables(req);
+
+    res.json({ message: "Override removed successfully" });
+  } catch (error) {
+    console.error("Delete timetable override error:", error);
+    res.status(500).json({ message: "Failed to remove override" });
+  }
+});
+
+// GET /api/study/timetables/deleted
+// Deleted timetables that can still be restored from their revisions
+router.get("/timetables/deleted", async (req, res) => {
+  try {
+    res.json(await timetableHistoryService.listDeleted(req.userId));
+  } catch (error) {
+    console.error("Get deleted timetables error:", error);
+    res.status(500).json({ message: "Failed to fetch deleted timetables" });
+  }
+});
+
+// GET /api/study/timetables/activations?start=YYYY-MM-DD&end=YYYY-MM-DD
+// Which timetable was active when
+router.get("/timetables/activations", async (req, res) => {
+  try {
+    const timezone = resolveTimezone(req.user);
+    const { start, end } = req.query;
+
+    const dayKeyPattern = /^\d{4}-\d{2}-\d{2}$/;
+    if ((start && !dayKeyPattern.test(start)) || (end && !dayKeyPattern.test(end))) {
+      return res
+        .status(400)
+        .json({ message: "Dates must be in YYYY-MM-DD format" });
+    }
+
+    res.json(
+      await timetableHistoryService.listActivations(req.userId, {
+        start: start && startOfDay(start, timezone),
+        end: end && startOfDay(shiftDayKey(end, 1), timezone),
+      })
+    );
+  } catch (error) {
+    console.error("Get timetable activations error:", error);
+    res.status(500).json({ message: "Failed to fetch timetable activations" });
+  }
+});
+
+// GET /api/study/timetables/in-force?date=YYYY-MM-DD
+// The timetable that was active on a date, as it stood at the end of it
+router.get("/timetables/in-force", async (req, res) => {
+  try {
+    const timezone = resolveTimezone(req.user);
+    const { date = toDayKey(new Date(), timezone) } = req.query;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res
+        .status(400)
+        .json({ message: "Dates must be in YYYY-MM-DD format" });
+    }
+
+    const days = await timetableHistoryService.getInForceByDay(
+      req.userId,
+      date,
+      date,
+      timezone
+    );
+    const day = days?.[0];
+    if (!day?.inForce) {
+      return res.status(404).json({ message: "No timetable was active on that date" });
+    }
+
+    const { timetableId, name, activatedAt, snapshot } = day.inForce;
+    res.json({
+      timetable: { _id: timetableId, name, activatedAt, ...snapshot },
+      day: timetableService.resolveRange(snapshot, date, date)[0],
+    });
+  } catch (error) {
+    console.error("Get timetable in force error:", error);
+    res.status(500).json({ message: "Failed to fetch timetable in force" });
+  }
+});
+
+// GET /api/study/timetables/:id/revisions
+// Newest first, without snapshots
+router.get("/timetables/:id/revisions", async (req, res) => {
+  try {
+    res.json(
+      await timetableHistoryService.listRevisions(req.userId, req.params.id)
+    );
+  } catch (error) {
+    console.error("Get timetable revisions error:", error);
+    res.status(500).json({ message: "Failed to fetch timetable revisions" });
+  }
+});
+
+// GET /api/study/timetables/:id/revisions/:revisionId
+router.get("/timetables/:id/revisions/:revisionId", async (req, res) => {
+  try {
+    const revision = await timetableHistoryService.getRevision(
+      req.userId,
+      req.params.id,
+      req.params.revisionId
+    );
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+    res.json(revision);
+  } catch (error) {
+    console.error("Get timetable revision error:", error);
+    res.status(500).json({ message: "Failed to fetch timetable revision" });
+  }
+});
+
+// POST /api/study/timetables/:id/revisions/:revisionId/restore
+// Also brings back deleted timetables (inactive)
+router.post(
+  "/timetables/:id/revisions/:revisionId/restore",
+  async (req, res) => {
+    try {
+      const revision = await timetableHistoryService.getRevision(
+        req.userId,
+        req.params.id,
+        req.params.revisionId
+      );
+      if (!revision) {
+        return res.status(404).json({ message: "Revision not found" });
+      }
+
+      const timetable = await timetableHistoryService.restore(
+        req.userId,
+        revision
+      );
+      await invalidateTimetables(req);
+      res.json(timetable);
+    } catch (error) {
+      console.error("Restore timetable revision error:", error);
+      res.status(500).json({ message: "Failed to restore timetable revision" });
+    }
+  }
+);
+
+// Send a conflict report and return true when a schedule can't be saved.
+// Invalid slots always block; clashes with calendar events block unless
+// the client confirms with `force: true`.
+async function rejectInvalidSchedule(req, res, schedule) {
+  const report = await timetableService.validate(req.user, schedule);
+
+  if (!report.valid) {
+    res.status(400).json({ message: "Timetable has invalid slots", ...report });
+    return true;
+  }
+  if (report.eventConflicts.length > 0 && !req.body.force) {
+    res.status(409).json({
+      message: "Timetable clashes with calendar events",
+      ...report,
+    });
+    return true;
+  }
+  return false;
+}
+
+// POST /api/study/timetables/validate
+// Check a schedule without saving it
+router.post("/timetables/validate", async (req, res) => {
+  try {
+    const { schedule } = req.body;
+    if (!schedule || typeof schedule !== "object") {
+      return res.status(400).json({ message: "Schedule is required" });
+    }
+
+    res.json(
+      await timetableService.validate(
+        req.user,
+        timetableService.sanitizeSchedule(schedule)
+      )
+    );
+  } catch (error) {
+    console.error("Validate timetable error:", error);
+    res.status(500).json({ message: "Failed to validate timetable" });
+  }
+});
+
+// POST /api/study/timetables/generate
+// Propose a schedule from subjects with weekly hours and priorities. The
+// proposal is not saved; review it and send it to POST /timetables.
+router.post("/timetables/generate", async (req, res) => {
+  try {
+    const proposal = await timetableService.generate(req.user, req.body);
+    if (proposal.error) {
+      return res.status(400).json({ message: proposal.error });
+    }
+
+    // Later weeks may still hold events the generator didn't plan around
+    const validation = await timetableService.validate(
+      req.user,
+      proposal.timetable.schedule
+    );
+
+    res.json({ ...proposal, validation });
+  } catch (error) {
+    console.error("Generate timetable error:", error);
+    res.status(500).json({ message: "Failed to generate timetable" });
+  }
+});
+
+// Validate, resolve subjects and save a new timetable. Sends the error
+// response and returns null when the schedule can't be saved.
+async function createTimetable(req, res, { name, description, schedule, isActive }) {
+  const sanitizedSchedule = timetableService.sanitizeSchedule(schedule);
+  if (await rejectInvalidSchedule(req, res, sanitizedSchedule)) return null;
+  await subjectService.resolveSchedule(req.userId, sanitizedSchedule);
+
+  // Only one timetable can be active
+  if (isActive) {
+    await Timetable.updateMany({ userId: req.userId }, { isActive: false });
+  }
+
+  // Create new timetable
+  const timetable = new Timetable({
+    userId: req.userId,
+    name: name.trim(),
+    description: description?.trim() || "",
+    schedule: sanitizedSchedule,
+    isActive: !!isActive,
+  });
+
+  await timetable.save();
+  await timetableHistoryService.record(timetable, "create");
+  if (timetable.isActive) await timetableHistoryService.activate(timetable);
+  await invalidateTimetables(req);
+  return timetable;
+}
+
+// Create timetable
+router.post("/timetables", async (req, res) => {
+  try {
+    const { name, schedule } = req.body;
+
+    if (!name || !schedule || typeof schedule !== "object") {
+      return res
+        .status(400)
+        .json({ message: "Name and schedule are required and must be valid." });
+    }
+
+    const timetable = await createTimetable(req, res, req.body);
+    if (!timetable) return;
     res.status(201).json(timetable);
   } catch (error) {
     console.error("Create timetable error:", error);
@@ -830,6 +1645,142 @@ router.post("/timetables", async (req, res) => {
   }
 });
 
+// GET /api/study/timetables/templates
+// Templates shared by the current user
+router.get("/timetables/templates", async (req, res) => {
+  try {
+    const templates = await TimetableTemplate.find({ userId: req.userId }).sort({
+      createdAt: -1,
+    });
+    res.json(templates);
+  } catch (error) {
+    console.error("Get timetable templates error:", error);
+    res.status(500).json({ message: "Failed to fetch templates" });
+  }
+});
+
+// GET /api/study/timetables/templates/gallery?search=&sort=popular|recent&page=
+router.get("/timetables/templates/gallery", async (req, res) => {
+  try {
+    const { search, sort, page } = req.query;
+    // ?search=a&search=b arrives as an array
+    if (search !== undefined && typeof search !== "string") {
+      return res.status(400).json({ message: "Search must be a single string" });
+    }
+    res.json(await templateService.gallery({ search, sort, page }));
+  } catch (error) {
+    console.error("Get template gallery error:", error);
+    res.status(500).json({ message: "Failed to fetch template gallery" });
+  }
+});
+
+// GET /api/study/timetables/templates/shared/:token
+router.get("/timetables/templates/shared/:token", async (req, res) => {
+  try {
+    const template = await templateService.findByToken(req.params.token);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+    res.json(template.toPublicJSON());
+  } catch (error) {
+    console.error("Get shared template error:", error);
+    res.status(500).json({ message: "Failed to fetch template" });
+  }
+});
+
+// POST /api/study/timetables/templates/shared/:token/clone
+// { name, isActive, force } - saved like POST /timetables
+router.post("/timetables/templates/shared/:token/clone", async (req, res) => {
+  try {
+    const template = await templateService.findByToken(req.params.token);
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+
+    const timetable = await createTimetable(req, res, {
+      name: req.body.name?.trim() || template.name,
+      description: template.description,
+      schedule: template.schedule.toObject(),
+      isActive: req.body.isActive,
+    });
+    if (!timetable) return;
+
+    await templateService.recordClone(template);
+    res.status(201).json(timetable);
+  } catch (error) {
+    console.error("Clone template error:", error);
+    res.status(500).json({ message: "Failed to clone template" });
+  }
+});
+
+// POST /api/study/timetables/:id/share { name, description, isPublic }
+// Snapshot a timetable as a template; later edits to it are not shared
+router.post("/timetables/:id/share", async (req, res) => {
+  try {
+    const timetable = await Timetable.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (!timetable) {
+      return res.status(404).json({ message: "Timetable not found" });
+    }
+
+    const template = await templateService.share(timetable, req.body);
+    res.status(201).json(template);
+  } catch (error) {
+    console.error("Share timetable error:", error);
+    res.status(500).json({ message: "Failed to share timetable" });
+  }
+});
+
+// PUT /api/study/timetables/templates/:id { name, description, isPublic }
+router.put("/timetables/templates/:id", async (req, res) => {
+  try {
+    const { name, description, isPublic } = req.body;
+    const update = {};
+
+    if (name !== undefined) {
+      if (!name?.trim()) {
+        return res.status(400).json({ message: "Name cannot be empty" });
+      }
+      update.name = name.trim();
+    }
+    if (description !== undefined) update.description = description?.trim() || "";
+    if (isPublic !== undefined) update.isPublic = !!isPublic;
+
+    const template = await TimetableTemplate.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      update,
+      { new: true }
+    );
+    if (!template) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error("Update template error:", error);
+    res.status(500).json({ message: "Failed to update template" });
+  }
+});
+
+// DELETE /api/study/timetables/templates/:id
+// The share link stops working; existing clones are unaffected
+router.delete("/timetables/templates/:id", async (req, res) => {
+  try {
+    const result = await TimetableTemplate.deleteOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Template not found" });
+    }
+    res.json({ message: "Template deleted successfully" });
+  } catch (error) {
+    console.error("Delete template error:", error);
+    res.status(500).json({ message: "Failed to delete template" });
+  }
+});
+
 router.put("/timetables/:id/activate", async (req, res) => {
   try {
     await Timetable.updateMany({ userId: req.userId }, { isActive: false });
@@ -838,11 +1789,12 @@ router.put("/timetables/:id/activate", async (req, res) => {
       { isActive: true },
       { new: true }
     );
+    if (updated) await timetableHistoryService.activate(updated);
     const allTimetables = await Timetable.find({ userId: req.userId }).sort({
       createdAt: -1,
     });
     await req.redis.setEx(
-      `timetable_active_${req.userId}`,
+      timetablesCacheKey(req),
       300,
       JSON.stringify(allTimetables)
     );
@@ -858,7 +1810,18 @@ router.put("/timetables/:id/activate", async (req, res) => {
 
 router.delete("/timetables/:id", async (req, res) => {
   try {
-    await Timetable.deleteOne({ _id: req.params.id, userId: req.userId });
+    const timetable = await Timetable.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (timetable) {
+      // Keep a final snapshot so the timetable can be restored
+      await timetableHistoryService.ensureBaseline(timetable);
+      await timetableHistoryService.record(timetable, "delete");
+      await timetableHistoryService.deactivate(req.userId, timetable._id);
+      await timetable.deleteOne();
+    }
+    await invalidateTimetables(req);
     res.status(200).json({ message: "Timetable deleted successfully" });
   } catch (error) {
     console.error("Delete timetable error:", error);
@@ -869,11 +1832,60 @@ router.delete("/timetables/:id", async (req, res) => {
 router.put("/timetables/:id", async (req, res) => {
   try {
     const { name, description, schedule, isActive } = req.body;
-    const timetable = await Timetable.findOneAndUpdate(
-      { _id: req.params.id, userId: req.userId },
-      { name, description, schedule, isActive },
-      { new: true }
-    );
+    const update = {};
+
+    if (name !== undefined) {
+      if (!name?.trim()) {
+        return res.status(400).json({ message: "Name cannot be empty" });
+      }
+      update.name = name.trim();
+    }
+    if (description !== undefined) update.description = description?.trim() || "";
+    if (isActive !== undefined) update.isActive = !!isActive;
+
+    if (schedule !== undefined) {
+      if (!schedule || typeof schedule !== "object") {
+        return res.status(400).json({ message: "Schedule must be valid" });
+      }
+      update.schedule = timetableService.sanitizeSchedule(schedule);
+      if (await rejectInvalidSchedule(req, res, update.schedule)) return;
+      await subjectService.resolveSchedule(req.userId, update.schedule);
+    }
+
+    const timetable = await Timetable.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (!timetable) {
+      return res.status(404).json({ message: "Timetable not found" });
+    }
+
+    if (update.schedule) {
+      timetableService.carrySlotIds(timetable.schedule, update.schedule);
+      update.overrides = timetableService.liveOverrides(
+        timetable.overrides,
+        update.schedule
+      );
+    }
+
+    const wasActive = timetable.isActive;
+    await timetableHistoryService.ensureBaseline(timetable);
+    if (update.isActive && !wasActive) {
+      await Timetable.updateMany({ userId: req.userId }, { isActive: false });
+    }
+
+    timetable.set(update);
+    await timetable.save();
+    if (update.name || update.description !== undefined || update.schedule) {
+      await timetableHistoryService.record(timetable, "update");
+    }
+    if (timetable.isActive && !wasActive) {
+      await timetableHistoryService.activate(timetable);
+    } else if (!timetable.isActive && wasActive) {
+      await timetableHistoryService.deactivate(req.userId, timetable._id);
+    }
+
+    await invalidateTimetables(req);
     res.json(timetable);
   } catch (error) {
     console.error("Update timetable error:", error);
@@ -905,13 +1917,19 @@ router.get("/notes", async (req, res) => {
 // Create note
 router.post("/notes", async (req, res) => {
   try {
-    const { title, body, subject, tags, isPinned } = req.body;
+    const { title, body, tags, isPinned } = req.body;
+    const subject = await subjectService.resolve(
+      req.userId,
+      req.body.subject,
+      req.body.subjectId
+    );
 
     const note = new Note({
       userId: req.userId,
       title,
       body,
-      subject,
+      subject: subject?.name,
+      subjectId: subject?._id,
       tags,
       isPinned,
     });
@@ -927,9 +1945,20 @@ router.post("/notes", async (req, res) => {
 // Update note
 router.put("/notes/:id", async (req, res) => {
   try {
+    const update = { ...req.body };
+    if (update.subject || update.subjectId) {
+      const subject = await subjectService.resolve(
+        req.userId,
+        update.subject,
+        update.subjectId
+      );
+      update.subject = subject?.name;
+      update.subjectId = subject?._id;
+    }
+
     const note = await Note.findOneAndUpdate(
       { _id: req.params.id, userId: req.userId },
-      req.body,
+      update,
       { new: true }
     );
 
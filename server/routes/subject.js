@@ -0,0 +1,169 @@
+import express from "express";
+import mongoose from "mongoose";
+import Subject from "../models/Subject.js";
+import subjectService from "../services/subjectService.js";
+import {
+  dashboardCacheKey,
+  timetablesCacheKey,
+  invalidateCache,
+} from "../utils/cache.js";
+
+const router = express.Router();
+
+// Editable fields from the body; returns { fields } or { error }
+const pickSubjectFields = (body) => {
+  const fields = {};
+  if (body.color !== undefined) fields.color = body.color;
+  if (body.icon !== undefined) fields.icon = body.icon;
+  if (body.archived !== undefined) fields.archived = !!body.archived;
+  if (body.weeklyTargetMinutes === null) {
+    fields.weeklyTargetMinutes = null;
+  } else if (body.weeklyTargetMinutes !== undefined) {
+    const minutes = Number(body.weeklyTargetMinutes);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      return { error: "Weekly target must be a number of minutes" };
+    }
+    fields.weeklyTargetMinutes = minutes;
+  }
+  return { fields };
+};
+
+// Renames and merges rewrite history the dashboard and timetables show
+const invalidateSubjectViews = (req) =>
+  invalidateCache(req, dashboardCacheKey(req), timetablesCacheKey(req));
+
+// Get subjects (?archived=true includes archived ones)
+router.get("/", async (req, res) => {
+  try {
+    const query = { userId: req.userId };
+    if (req.query.archived !== "true") query.archived = false;
+
+    const subjects = await Subject.find(query).sort({ name: 1 });
+    res.json(subjects);
+  } catch (error) {
+    console.error("Get subjects error:", error);
+    res.status(500).json({ message: "Failed to fetch subjects" });
+  }
+});
+
+// Create subject
+router.post("/", async (req, res) => {
+  try {
+    const { name } = req.body;
+    const normalizedName = Subject.normalize(name);
+
+    if (!normalizedName) {
+      return res.status(400).json({ message: "Subject name is required" });
+    }
+
+    const { fields, error } = pickSubjectFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const existing = await Subject.findOne({ userId: req.userId, normalizedName });
+    if (existing) {
+      return res
+        .status(409)
+        .json({ message: "Subject already exists", subject: existing });
+    }
+
+    const subject = await Subject.create({
+      userId: req.userId,
+      name: subjectService.displayName(name),
+      normalizedName,
+      ...fields,
+    });
+
+    res.status(201).json(subject);
+  } catch (error) {
+    console.error("Create subject error:", error);
+    res.status(500).json({ message: "Failed to create subject" });
+  }
+});
+
+// Update subject; a new name is written through to all history
+router.put("/:id", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Subject not found" });
+    }
+
+    const subject = await Subject.findOne({
+      _id: req.params.id,
+      userId: req.userId,
+    });
+    if (!subject) {
+      return res.status(404).json({ message: "Subject not found" });
+    }
+
+    const { fields, error } = pickSubjectFields(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { name } = req.body;
+    if (name !== undefined && Subject.normalize(name) !== subject.normalizedName) {
+      if (!Subject.normalize(name)) {
+        return res.status(400).json({ message: "Subject name is required" });
+      }
+
+      const { conflict } = await subjectService.rename(req.userId, subject, name);
+      if (conflict) {
+        return res.status(409).json({
+          message: "Another subject already has this name; merge them instead",
+          subject: conflict,
+        });
+      }
+    } else if (name !== undefined) {
+      // Only the casing or spacing changed
+      subject.name = subjectService.displayName(name);
+      await subject.save();
+      await subjectService.rewriteHistory(req.userId, subject._id, subject);
+    }
+
+    subject.set(fields);
+    await subject.save();
+    if (name !== undefined) await invalidateSubjectViews(req);
+
+    res.json(subject);
+  } catch (error) {
+    console.error("Update subject error:", error);
+    res.status(500).json({ message: "Failed to update subject" });
+  }
+});
+
+// Merge this subject into another one
+router.post("/:id/merge", async (req, res) => {
+  try {
+    const { targetId } = req.body;
+    if (
+      !mongoose.isValidObjectId(req.params.id) ||
+      !mongoose.isValidObjectId(targetId)
+    ) {
+      return res.status(400).json({ message: "Valid subject ids are required" });
+    }
+    if (req.params.id === targetId) {
+      return res
+        .status(400)
+        .json({ message: "Cannot merge a subject into itself" });
+    }
+
+    const [source, target] = await Promise.all([
+      Subject.findOne({ _id: req.params.id, userId: req.userId }),
+      Subject.findOne({ _id: targetId, userId: req.userId }),
+    ]);
+    if (!source || !target) {
+      return res.status(404).json({ message: "Subject not found" });
+    }
+
+    const merged = await subjectService.merge(req.userId, source, target);
+    await invalidateSubjectViews(req);
+    res.json(merged);
+  } catch (error) {
+    console.error("Merge subject error:", error);
+    res.status(500).json({ message: "Failed to merge subjects" });
+  }
+});
+
+export default router;
@@ -1,9 +1,74 @@
 import express from 'express';
 import User from '../models/User.js';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import statsService from '../services/statsService.js';
+import exportService from '../services/exportService.js';
+import { isValidTimezone } from '../utils/timezone.js';
 
 const router = express.Router();
 
+const PREFERENCE_FIELDS = Object.keys(User.schema.obj.preferences);
+
+// Subscription URL of the calendar feed; served without a login. Built
+// from the configured server URL, not the request, so the token never goes
+// out over plain http or to a spoofed Host.
+const calendarFeedUrl = (token) =>
+  `${process.env.BACKEND_URL}/api/calendar/feed/${token}.ics`;
+
+// Download a JSON archive of everything stored for the account
+router.get('/export', async (req, res) => {
+  try {
+    const date = new Date().toISOString().split('T')[0];
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="account-archive-${date}.json"`
+    );
+
+    await exportService.streamArchive(res, req.user);
+  } catch (error) {
+    console.error('Export account error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ message: 'Failed to export account' });
+  }
+});
+
+// Calendar feed status; the URL is only shown to its owner
+router.get('/calendar-feed', async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).select('calendarFeedToken');
+    const token = user?.calendarFeedToken;
+    res.json({ enabled: !!token, url: token ? calendarFeedUrl(token) : null });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ message: 'Failed to fetch calendar feed' });
+  }
+});
+
+// Create the feed, or replace its token so the old URL stops working
+router.post('/calendar-feed', async (req, res) => {
+  try {
+    const token = crypto.randomBytes(32).toString('hex');
+    await User.findByIdAndUpdate(req.userId, { calendarFeedToken: token });
+    res.json({ enabled: true, url: calendarFeedUrl(token) });
+  } catch (error) {
+    console.error('Regenerate calendar feed error:', error);
+    res.status(500).json({ message: 'Failed to regenerate calendar feed' });
+  }
+});
+
+// Turn the feed off
+router.delete('/calendar-feed', async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.userId, { $unset: { calendarFeedToken: 1 } });
+    res.json({ enabled: false, url: null });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ message: 'Failed to revoke calendar feed' });
+  }
+});
+
 // Update user profile
 router.put('/profile', async (req, res) => {
   try {
@@ -31,19 +96,49 @@ router.put('/profile', async (req, res) => {
   }
 });
 
-// Update user preferences
+// Update user preferences (only the fields sent are changed)
 router.put('/preferences', async (req, res) => {
   try {
+    const { timezone } = req.body;
+    if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+      return res.status(400).json({ message: 'Invalid timezone' });
+    }
+
+    // Nested groups (streakRules, weeklyDigest, ...) are merged field by
+    // field so a partial object doesn't wipe the rest of the group
+    const update = {};
+    PREFERENCE_FIELDS
+      .filter((key) => req.body[key] !== undefined)
+      .forEach((key) => {
+        const value = req.body[key];
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          Object.entries(value).forEach(([field, fieldValue]) => {
+            update[`preferences.${key}.${field}`] = fieldValue;
+          });
+        } else {
+          update[`preferences.${key}`] = value;
+        }
+      });
+
+    const previousTimezone = req.user.preferences?.timezone;
+
     const user = await User.findByIdAndUpdate(
       req.userId,
-      { preferences: req.body },
-      { new: true }
+      { $set: update },
+      { new: true, runValidators: true }
     );
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Day boundaries moved, so streaks and daily rollups must be recomputed
+    if (timezone !== undefined && timezone !== previousTimezone) {
+      await statsService.rebuild(req.userId);
+    } else if (req.body.streakRules !== undefined || req.body.studyDays !== undefined) {
+      await statsService.refreshUserStreaks(req.userId);
+    }
+
     res.json(user.preferences);
   } catch (error) {
     console.error('Update preferences error:', error);
@@ -0,0 +1,31 @@
+// One-off migration: turn free-text subject strings into Subject documents.
+// Usage: npm run migrate:subjects
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/User.js";
+import subjectService from "../services/subjectService.js";
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(
+    process.env.MONGODB_URI || "mongodb://localhost:27017/studyapp"
+  );
+  console.log("Connected to MongoDB");
+
+  const users = await User.find().select("_id email");
+  for (const user of users) {
+    try {
+      const subjects = await subjectService.migrateUser(user._id);
+      console.log(`Migrated ${subjects} subject(s) for ${user.email}`);
+    } catch (error) {
+      console.error(`Failed to migrate subjects for ${user.email}:`, error);
+    }
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Subject migration failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,226 @@
+import mongoose from "mongoose";
+import StudySession from "../models/StudySession.js";
+import Subject from "../models/Subject.js";
+import Timetable from "../models/Timetable.js";
+import timetableService from "./timetableService.js";
+import timetableHistoryService from "./timetableHistoryService.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  zonedTime,
+  startOfDay,
+} from "../utils/timezone.js";
+import { parseTime } from "../utils/schedule.js";
+
+// A session may start this early and still count for a slot
+const EARLY_GRACE_MINUTES = 30;
+// Starting later than this after the slot began makes it "late"
+const LATE_GRACE_MINUTES = 15;
+// Share of the planned duration that counts as done
+const DONE_RATIO = 0.9;
+
+export const MAX_ADHERENCE_DAYS = 92;
+
+// Compares the active timetable with the sessions that actually happened
+class AdherenceService {
+  sameSubject(slot, session) {
+    if (slot.subjectId && session.subjectId) {
+      return String(slot.subjectId) === String(session.subjectId);
+    }
+    return Subject.normalize(slot.subject) === Subject.normalize(session.subject);
+  }
+
+  // Slot windows of one day, in order
+  daySlots(slots, dayKey, timezone) {
+    return slots
+      .map((slot) => ({ slot, minutes: parseTime(slot.time) }))
+      .filter(({ minutes }) => minutes !== null)
+      .sort((a, b) => a.minutes - b.minutes)
+      .map(({ slot }) => {
+        const start = zonedTime(dayKey, slot.time, timezone);
+        return {
+          slot,
+          start,
+          end: new Date(start.getTime() + (slot.duration || 0) * 60000),
+          sessions: [],
+        };
+      });
+  }
+
+  // Each session counts toward the latest slot of its subject that had
+  // started (give or take the early grace) when the session began
+  assignSessions(windows, sessions) {
+    sessions.forEach((session) => {
+      const candidates = windows.filter(
+        (w) =>
+          this.sameSubject(w.slot, session) &&
+          w.start.getTime() - EARLY_GRACE_MINUTES * 60000 <= session.startTime.getTime()
+      );
+      const target = candidates[candidates.length - 1];
+      if (target) target.sessions.push(session);
+    });
+  }
+
+  grade(window, now) {
+    const plannedMinutes = window.slot.duration || 0;
+    const studiedMinutes = Math.round(
+      window.sessions.reduce((sum, s) => sum + (s.actualTime || 0), 0) / 60
+    );
+    const firstStart = window.sessions[0]?.startTime || null;
+    const lateByMinutes = firstStart
+      ? Math.max(0, Math.round((firstStart - window.start) / 60000))
+      : null;
+
+    let status;
+    if (studiedMinutes >= plannedMinutes * DONE_RATIO) {
+      status = lateByMinutes > LATE_GRACE_MINUTES ? "late" : "done";
+    } else if (studiedMinutes > 0) {
+      status = window.end > now ? "in_progress" : "partial";
+    } else {
+      status = window.start > now ? "upcoming" : window.end > now ? "in_progress" : "missed";
+    }
+
+    return {
+      slotId: window.slot._id,
+      source: window.slot.source,
+      time: window.slot.time,
+      subject: window.slot.subject,
+      subjectId: window.slot.subjectId || null,
+      duration: plannedMinutes,
+      start: window.start,
+      end: window.end,
+      status,
+      studiedMinutes,
+      startedAt: firstStart,
+      lateByMinutes,
+      sessionIds: window.sessions.map((s) => s._id),
+    };
+  }
+
+  // Adherence over slots that are already due: planned minutes that were
+  // actually studied (capped per slot), as a percentage
+  summarize(slots) {
+    const counts = { done: 0, late: 0, partial: 0, missed: 0, in_progress: 0, upcoming: 0 };
+    let plannedMinutes = 0;
+    let studiedMinutes = 0;
+
+    slots.forEach((slot) => {
+      counts[slot.status] += 1;
+      if (slot.status === "upcoming" || slot.status === "in_progress") return;
+      plannedMinutes += slot.duration;
+      studiedMinutes += Math.min(slot.studiedMinutes, slot.duration);
+    });
+
+    return {
+      plannedMinutes,
+      studiedMinutes,
+      percent: plannedMinutes
+        ? Math.round((studiedMinutes / plannedMinutes) * 100)
+        : null,
+      counts,
+    };
+  }
+
+  // Monday-based week a day key falls in
+  weekOf(dayKey) {
+    const offset = (new Date(`${dayKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return shiftDayKey(dayKey, -offset);
+  }
+
+  // Slot-by-slot adherence for the days between two keys (inclusive)
+  async getAdherence(user, { startKey, endKey, now = new Date() } = {}) {
+    const timezone = resolveTimezone(user);
+    const active = await Timetable.findOne({
+      userId: user._id,
+      isActive: true,
+    });
+
+    // Each day is graded against the timetable that was in force then;
+    // days from before that was tracked use the active one
+    const history = await timetableHistoryService.getInForceByDay(
+      user._id,
+      startKey,
+      endKey,
+      timezone,
+      now
+    );
+    const activePlan = active && {
+      timetable: { _id: active._id, name: active.name },
+      source: active,
+    };
+    const plans = [];
+    for (let dayKey = startKey; dayKey <= endKey; dayKey = shiftDayKey(dayKey, 1)) {
+      const day = history?.[plans.length];
+      const inForce = day?.inForce;
+      plans.push({
+        date: dayKey,
+        plan:
+          !day || day.untracked
+            ? activePlan
+            : inForce && {
+                timetable: { _id: inForce.timetableId, name: inForce.name },
+                source: inForce.snapshot,
+              },
+      });
+    }
+
+    const timetable =
+      activePlan?.timetable ||
+      plans.filter(({ plan }) => plan).pop()?.plan.timetable;
+    if (!timetable) return null;
+
+    const sessions = await StudySession.find({
+      userId: new mongoose.Types.ObjectId(String(user._id)),
+      startTime: {
+        $gte: startOfDay(startKey, timezone),
+        $lt: startOfDay(shiftDayKey(endKey, 1), timezone),
+      },
+    })
+      .select("subject subjectId startTime endTime actualTime")
+      .sort({ startTime: 1 })
+      .lean();
+
+    // Date overrides (cancelled, moved and one-off slots) count as planned
+    const days = plans.map(({ date: dayKey, plan }) => {
+      const planned = plan
+        ? timetableService.resolveRange(plan.source, dayKey, dayKey)[0].slots
+        : [];
+      const windows = this.daySlots(planned, dayKey, timezone);
+      this.assignSessions(
+        windows,
+        sessions.filter((s) => toDayKey(s.startTime, timezone) === dayKey)
+      );
+
+      const slots = windows.map((window) => this.grade(window, now));
+      return {
+        date: dayKey,
+        timetable: plan?.timetable || null,
+        ...this.summarize(slots),
+        slots,
+      };
+    });
+
+    const weeks = new Map();
+    days.forEach((day) => {
+      const week = this.weekOf(day.date);
+      if (!weeks.has(week)) weeks.set(week, []);
+      weeks.get(week).push(...day.slots);
+    });
+
+    return {
+      timetable,
+      startKey,
+      endKey,
+      timezone,
+      summary: this.summarize(days.flatMap((day) => day.slots)),
+      weeks: Array.from(weeks.entries()).map(([weekStart, slots]) => ({
+        weekStart,
+        ...this.summarize(slots),
+      })),
+      days,
+    };
+  }
+}
+
+export default new AdherenceService();
@@ -0,0 +1,334 @@
+import crypto from "crypto";
+import CalendarEvent from "../models/CalendarEvent.js";
+import subjectService from "./subjectService.js";
+import recurrenceService, { BY_DAY } from "./recurrenceService.js";
+import { parseIcs } from "../utils/ics.js";
+import { formatTime } from "../utils/schedule.js";
+import {
+  isValidTimezone,
+  getZonedParts,
+  toDayKey,
+  zonedTime,
+} from "../utils/timezone.js";
+
+// Events listed back to the client in a report
+const PREVIEW_LIMIT = 100;
+
+export const EVENT_TYPES = CalendarEvent.schema.path("type").enumValues;
+
+// RRULE parts the calendar can represent
+const SUPPORTED_RULE_PARTS = ["FREQ", "INTERVAL", "BYDAY", "UNTIL", "COUNT", "WKST", "BYMONTHDAY"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const first = (event, name) => event[name]?.[0];
+
+// Some exporters write "/Europe/Berlin" or a Windows zone name; only IANA
+// names are understood, anything else falls back
+const resolveTzid = (tzid, fallback) => {
+  const name = tzid?.replace(/^\//, "");
+  return name && isValidTimezone(name) ? name : fallback;
+};
+
+// Minutes in an ISO 8601 duration such as PT1H30M or P1D
+const parseDuration = (value) => {
+  const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    value || ""
+  );
+  if (!match) return null;
+  const [, weeks, days, hours, minutes] = match.map((n) => Number(n) || 0);
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+};
+
+// Maps an iCalendar file onto CalendarEvents in the user's timezone
+class CalendarImportService {
+  // One DATE or DATE-TIME value as seen in the user's timezone:
+  // { dayKey, time (null for all-day), moment, sourceDayKey }
+  parseDate(value, params = {}, sourceTimezone, timezone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+      String(value || "").trim()
+    );
+    if (!match) return null;
+
+    const [, year, month, day, hours, minutes, , utc] = match;
+    const sourceDayKey = `${year}-${month}-${day}`;
+    if (params.VALUE === "DATE" || hours === undefined) {
+      return { dayKey: sourceDayKey, time: null, moment: null, sourceDayKey };
+    }
+
+    // Floating times (no Z, no TZID) are read in the calendar's own zone
+    const moment = utc
+      ? new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes))
+      : zonedTime(sourceDayKey, `${hours}:${minutes}`, resolveTzid(params.TZID, sourceTimezone));
+    const local = getZonedParts(moment, timezone);
+
+    return {
+      dayKey: toDayKey(moment, timezone),
+      time: formatTime(local.hour * 60 + local.minute),
+      moment,
+      sourceDayKey: utc ? moment.toISOString().split("T")[0] : sourceDayKey,
+    };
+  }
+
+  // Every value of a multi-valued date property (EXDATE, RDATE)
+  parseDateList(properties = [], sourceTimezone, timezone) {
+    return properties.flatMap(({ value, params }) =>
+      value
+        .split(",")
+        .map((v) => this.parseDate(v, params, sourceTimezone, timezone))
+        .filter(Boolean)
+    );
+  }
+
+  // RRULE -> recurrence input, or { reason } when it can't be represented
+  parseRule(value, start, sourceTimezone, timezone) {
+    const parts = Object.fromEntries(
+      value.split(";").map((part) => {
+        const [key, ...rest] = part.split("=");
+        return [key.toUpperCase(), rest.join("=")];
+      })
+    );
+
+    const freq = (parts.FREQ || "").toLowerCase();
+    const unsupported = Object.keys(parts).filter((key) => !SUPPORTED_RULE_PARTS.includes(key));
+    if (!["daily", "weekly", "monthly"].includes(freq) || unsupported.length > 0) {
+      return { reason: `Unsupported repeat rule: ${value}` };
+    }
+    if (parts.BYMONTHDAY && Number(parts.BYMONTHDAY) !== Number(start.dayKey.slice(8))) {
+      return { reason: `Unsupported repeat rule: ${value}` };
+    }
+
+    let byDay;
+    if (parts.BYDAY) {
+      const days = parts.BYDAY.split(",");
+      if (freq !== "weekly" || days.some((d) => !BY_DAY.includes(d))) {
+        return { reason: `Unsupported repeat rule: ${value}` };
+      }
+      // Moving to the user's timezone can push the start across midnight
+      const shift = Math.round(
+        (Date.parse(start.dayKey) - Date.parse(start.sourceDayKey)) / DAY_MS
+      );
+      byDay = days.map((d) => BY_DAY[(BY_DAY.indexOf(d) + shift + 7) % 7]);
+    }
+
+    const until = parts.UNTIL && this.parseDate(parts.UNTIL, {}, sourceTimezone, timezone);
+    return {
+      recurrence: {
+        freq,
+        interval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+        byDay,
+        until: until?.dayKey,
+        count: parts.COUNT ? Number(parts.COUNT) : undefined,
+      },
+    };
+  }
+
+  uidOf(event) {
+    const uid = first(event, "UID")?.value?.trim();
+    if (uid) return uid;
+    // No UID: fingerprint the event so re-imports still match
+    return crypto
+      .createHash("sha1")
+      .update(`${first(event, "SUMMARY")?.value}|${first(event, "DTSTART")?.value}`)
+      .digest("hex");
+  }
+
+  // Fields shared by whole events and edited occurrences.
+  // Returns { fields, start, days } or { reason }.
+  toFields(event, sourceTimezone, timezone) {
+    const dtstart = first(event, "DTSTART");
+    const start = dtstart && this.parseDate(dtstart.value, dtstart.params, sourceTimezone, timezone);
+    if (!start) return { reason: "Missing or invalid DTSTART" };
+
+    let endTime;
+    let days = 1;
+    const dtend = first(event, "DTEND");
+    const end = dtend
+      ? this.parseDate(dtend.value, dtend.params, sourceTimezone, timezone)
+      : null;
+    const duration = parseDuration(first(event, "DURATION")?.value);
+
+    if (start.time === null) {
+      // All-day: DTEND is exclusive
+      if (end?.dayKey > start.dayKey) {
+        days = Math.round((Date.parse(end.dayKey) - Date.parse(start.dayKey)) / DAY_MS);
+      } else if (duration) {
+        days = Math.max(1, Math.round(duration / (24 * 60)));
+      }
+    } else {
+      const endMoment =
+        end?.moment || (duration !== null ? new Date(start.moment.getTime() + duration * 60000) : null);
+      // Events running past midnight keep only their start time
+      if (endMoment && endMoment > start.moment && toDayKey(endMoment, timezone) === start.dayKey) {
+        const local = getZonedParts(endMoment, timezone);
+        endTime = formatTime(local.hour * 60 + local.minute);
+      }
+    }
+
+    const location = first(event, "LOCATION")?.value;
+    const description = [first(event, "DESCRIPTION")?.value, location && `Location: ${location}`]
+      .filter(Boolean)
+      .join("\n");
+
+    return {
+      start,
+      days,
+      fields: {
+        title: first(event, "SUMMARY")?.value?.trim() || "Untitled event",
+        description: description || undefined,
+        date: new Date(`${start.dayKey}T00:00:00Z`),
+        startTime: start.time || undefined,
+        endTime,
+      },
+    };
+  }
+
+  // Turn one master VEVENT into a CalendarEvent. Returns { event } or { reason }.
+  toEvent(event, edits, sourceTimezone, timezone) {
+    if (first(event, "STATUS")?.value?.toUpperCase() === "CANCELLED") {
+      return { reason: "Cancelled in the calendar" };
+    }
+
+    const { fields, start, days, reason } = this.toFields(event, sourceTimezone, timezone);
+    if (reason) return { reason };
+
+    let recurrence = null;
+    const rrule = first(event, "RRULE")?.value;
+    if (rrule) {
+      const rule = this.parseRule(rrule, start, sourceTimezone, timezone);
+      if (rule.reason) return { reason: rule.reason };
+      const parsed = recurrenceService.parse(rule.recurrence, start.dayKey);
+      if (parsed.error) return { reason: parsed.error };
+      recurrence = parsed.recurrence;
+    } else if (days > 1) {
+      // Multi-day all-day events become one event per day
+      recurrence = recurrenceService.parse({ freq: "daily", count: days }, start.dayKey).recurrence;
+    }
+
+    const exceptions = [];
+    if (recurrence) {
+      this.parseDateList(event.EXDATE, sourceTimezone, timezone).forEach((date) =>
+        exceptions.push({ originalDate: date.dayKey, cancelled: true })
+      );
+
+      edits.forEach((edit) => {
+        const id = first(edit, "RECURRENCE-ID");
+        const original = this.parseDate(id.value, id.params, sourceTimezone, timezone);
+        if (!original) return;
+
+        const cancelled = first(edit, "STATUS")?.value?.toUpperCase() === "CANCELLED";
+        const changes = cancelled ? {} : this.toFields(edit, sourceTimezone, timezone).fields;
+        exceptions.push({
+          ...changes,
+          originalDate: original.dayKey,
+          cancelled,
+        });
+      });
+    }
+
+    return { event: { ...fields, recurrence, exceptions } };
+  }
+
+  // options: { type, subject, subjectId, timezone, dryRun }
+  async importIcs(userId, text, options) {
+    const { type = "other", timezone, dryRun = false } = options;
+    const calendar = parseIcs(text);
+    const sourceTimezone = resolveTzid(
+      calendar.properties["X-WR-TIMEZONE"]?.[0]?.value,
+      timezone
+    );
+
+    const report = {
+      dryRun,
+      type,
+      subject: options.subject || null,
+      totalEvents: 0,
+      imported: 0,
+      events: [],
+      rejected: [],
+      duplicates: [],
+    };
+
+    if (calendar.events.length === 0) {
+      report.error = "No events found in the file";
+      return report;
+    }
+
+    // Occurrence edits share their series' UID and are folded into it
+    const masters = [];
+    const edits = new Map();
+    calendar.events.forEach((event) => {
+      const uid = this.uidOf(event);
+      if (first(event, "RECURRENCE-ID")) {
+        if (!edits.has(uid)) edits.set(uid, []);
+        edits.get(uid).push(event);
+      } else {
+        masters.push({ uid, event });
+      }
+    });
+    report.totalEvents = masters.length;
+
+    const existing = new Set(
+      await CalendarEvent.distinct("importUid", {
+        userId,
+        importUid: { $in: masters.map((m) => m.uid) },
+      })
+    );
+
+    const seen = new Set();
+    const accepted = [];
+    masters.forEach(({ uid, event }) => {
+      const title = first(event, "SUMMARY")?.value || null;
+      if (existing.has(uid)) {
+        report.duplicates.push({ uid, title, reason: "Already imported" });
+        return;
+      }
+      if (seen.has(uid)) {
+        report.duplicates.push({ uid, title, reason: "Appears twice in the file" });
+        return;
+      }
+      seen.add(uid);
+
+      const result = this.toEvent(event, edits.get(uid) || [], sourceTimezone, timezone);
+      if (result.reason) {
+        report.rejected.push({ uid, title, reason: result.reason });
+        return;
+      }
+      accepted.push({ ...result.event, importUid: uid });
+    });
+
+    accepted.sort((a, b) => a.date - b.date || (a.startTime || "").localeCompare(b.startTime || ""));
+    report.imported = accepted.length;
+    report.events = accepted.slice(0, PREVIEW_LIMIT).map((event) => ({
+      uid: event.importUid,
+      title: event.title,
+      date: event.date.toISOString().split("T")[0],
+      startTime: event.startTime || null,
+      endTime: event.endTime || null,
+      recurrence: event.recurrence,
+      exceptions: event.exceptions.length,
+    }));
+
+    if (!dryRun && accepted.length > 0) {
+      await this.save(userId, accepted, options);
+    }
+    return report;
+  }
+
+  async save(userId, events, { type = "other", subject, subjectId }) {
+    const resolved =
+      subject || subjectId ? await subjectService.resolve(userId, subject, subjectId) : null;
+
+    await CalendarEvent.insertMany(
+      events.map((event) => ({
+        ...event,
+        userId,
+        type,
+        subject: resolved?.name,
+        subjectId: resolved?._id,
+      }))
+    );
+  }
+}
+
+export default new CalendarImportService();
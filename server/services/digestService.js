@@ -0,0 +1,105 @@
+import Todo from "../models/Todo.js";
+import rollupService from "./rollupService.js";
+import statsService from "./statsService.js";
+import recurrenceService from "./recurrenceService.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  startOfDay,
+} from "../utils/timezone.js";
+
+const UPCOMING_DAYS = 7;
+const MAX_LIST_ITEMS = 10;
+
+// Content of the weekly digest email
+class DigestService {
+  // Sum rollups per subject
+  totalsBySubject(days) {
+    const subjects = new Map();
+    days.forEach((day) =>
+      day.subjects.forEach((s) =>
+        subjects.set(s.name, (subjects.get(s.name) || 0) + s.time)
+      )
+    );
+    return subjects;
+  }
+
+  // The seven days before `now` compared with the seven before that
+  async buildWeeklyDigest(user, now = new Date()) {
+    const timezone = resolveTimezone(user);
+    const todayKey = toDayKey(now, timezone);
+
+    const week = {
+      startKey: shiftDayKey(todayKey, -7),
+      endKey: shiftDayKey(todayKey, -1),
+    };
+    const previousWeek = {
+      startKey: shiftDayKey(todayKey, -14),
+      endKey: shiftDayKey(todayKey, -8),
+    };
+
+    const [days, previousDays] = await Promise.all([
+      rollupService.getRange(user._id, week),
+      rollupService.getRange(user._id, previousWeek),
+    ]);
+
+    const totalTime = days.reduce((sum, day) => sum + day.totalTime, 0);
+    const previousTotalTime = previousDays.reduce(
+      (sum, day) => sum + day.totalTime,
+      0
+    );
+
+    const current = this.totalsBySubject(days);
+    const previous = this.totalsBySubject(previousDays);
+    const subjects = Array.from(new Set([...current.keys(), ...previous.keys()]))
+      .map((name) => ({
+        name,
+        time: current.get(name) || 0,
+        previousTime: previous.get(name) || 0,
+      }))
+      .filter((s) => s.time > 0)
+      .sort((a, b) => b.time - a.time);
+
+    const stats = await statsService.getStats(user._id);
+
+    const [overdueTodos, upcomingEvents] = await Promise.all([
+      Todo.find({
+        userId: user._id,
+        completed: false,
+        dueDate: { $lt: startOfDay(todayKey, timezone) },
+      })
+        .sort({ dueDate: 1 })
+        .limit(MAX_LIST_ITEMS),
+      recurrenceService
+        .findOccurrences(
+          user._id,
+          todayKey,
+          shiftDayKey(todayKey, UPCOMING_DAYS - 1)
+        )
+        .then((events) => events.slice(0, MAX_LIST_ITEMS)),
+    ]);
+
+    return {
+      ...week,
+      totalTime,
+      previousTotalTime,
+      // null when there is nothing to compare against
+      change: previousTotalTime
+        ? Math.round(((totalTime - previousTotalTime) / previousTotalTime) * 100)
+        : null,
+      daysActive: days.length,
+      sessions: days.reduce((sum, day) => sum + day.sessions, 0),
+      subjects,
+      streak: {
+        currentStreak: stats?.currentStreak || 0,
+        highestStreak: stats?.highestStreak || 0,
+        streakFreezes: stats?.streakFreezes || 0,
+      },
+      overdueTodos,
+      upcomingEvents,
+    };
+  }
+}
+
+export default new DigestService();
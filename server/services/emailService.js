@@ -1,5 +1,6 @@
 import nodemailer from "nodemailer";
 import dotenv from "dotenv";
+import { formatDuration } from "../utils/format.js";
 dotenv.config();
 
 class EmailService {
@@ -130,6 +131,65 @@ class EmailService {
     }
   }
 
+  async sendEventReminder(user, event, when) {
+    const details = [
+      event.subject && `Subject: ${event.subject}`,
+      event.endTime && event.startTime && `${event.startTime} – ${event.endTime}`,
+    ].filter(Boolean);
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: user.email,
+      subject: `⏰ ${event.title} - Focus Vault`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <div style="background: linear-gradient(135deg, #8B5CF6 0%, #3B82F6 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">⏰ Event Reminder</h1>
+          </div>
+          
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hey ${user.name}! 👋</h2>
+            
+            <div style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p style="color: #1976d2; margin: 0 0 8px; font-weight: bold; font-size: 18px;">
+                ${event.title}
+              </p>
+              <p style="color: #333; margin: 0;">${when}</p>
+              ${details.map((line) => `<p style="color: #666; margin: 8px 0 0;">${line}</p>`).join("")}
+            </div>
+            
+            ${event.description ? `<p style="color: #666; line-height: 1.6;">${event.description}</p>` : ""}
+            
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.CLIENT_URL}" 
+                 style="background: linear-gradient(135deg, #8B5CF6 0%, #3B82F6 100%); 
+                        color: white; 
+                        padding: 15px 30px; 
+                        text-decoration: none; 
+                        border-radius: 8px; 
+                        font-weight: bold;
+                        display: inline-block;">
+                Open Calendar 📅
+              </a>
+            </div>
+            
+            <p style="color: #999; font-size: 14px; margin-top: 30px;">
+              You can turn off email for this reminder when editing the event.
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Event reminder sent to ${user.email}`);
+    } catch (error) {
+      console.error("Failed to send event reminder:", error);
+      throw error;
+    }
+  }
+
   async sendCalendarNotification(user, todayEvents, tomorrowEvents) {
     const formatEventsList = (events) => {
       return events
@@ -221,6 +281,144 @@ class EmailService {
       throw error;
     }
   }
+
+  async sendWeeklyDigest(user, digest) {
+    const dayLabel = (date) =>
+      new Date(date).toLocaleDateString("en-US", {
+        timeZone: "UTC",
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+      });
+
+    const changeText =
+      digest.change === null
+        ? "No study time the week before"
+        : `${digest.change >= 0 ? "▲" : "▼"} ${Math.abs(digest.change)}% vs. previous week (${formatDuration(digest.previousTotalTime)})`;
+
+    const subjectRows = digest.subjects
+      .map((subject) => {
+        const diff = subject.time - subject.previousTime;
+        return `<tr>
+          <td style="padding: 6px 0; color: #333;">${subject.name}</td>
+          <td style="padding: 6px 0; color: #333; text-align: right;">${formatDuration(subject.time)}</td>
+          <td style="padding: 6px 0; color: ${diff >= 0 ? "#2e7d32" : "#c62828"}; text-align: right; font-size: 13px;">
+            ${diff >= 0 ? "+" : "-"}${formatDuration(Math.abs(diff))}
+          </td>
+        </tr>`;
+      })
+      .join("");
+
+    const todoItems = digest.overdueTodos
+      .map(
+        (todo) => `<li style="margin-bottom: 8px;">
+          <strong>${todo.title}</strong>
+          <span style="color: #c62828; font-size: 14px;"> · due ${dayLabel(todo.dueDate)}</span>
+        </li>`
+      )
+      .join("");
+
+    const eventItems = digest.upcomingEvents
+      .map((event) => {
+        const time = event.startTime ? ` at ${event.startTime}` : "";
+        return `<li style="margin-bottom: 8px;">
+          <strong>${event.title}</strong>
+          <span style="color: #666; font-size: 14px;"> · ${dayLabel(event.date)}${time}</span>
+        </li>`;
+      })
+      .join("");
+
+    const mailOptions = {
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: user.email,
+      subject: `📊 Your week in review: ${formatDuration(digest.totalTime)} studied - Focus Vault`,
+      html: `
+        <div style="max-width: 600px; margin: 0 auto; font-family: Arial, sans-serif;">
+          <div style="background: linear-gradient(135deg, #8B5CF6 0%, #3B82F6 100%); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="color: white; margin: 0; font-size: 24px;">📊 Your Weekly Digest</h1>
+            <p style="color: #EDE9FE; margin: 8px 0 0;">${dayLabel(digest.startKey)} – ${dayLabel(digest.endKey)}</p>
+          </div>
+
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hi ${user.name}! 👋</h2>
+
+            <div style="background: #ede7f6; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center;">
+              <p style="color: #5e35b1; margin: 0; font-size: 28px; font-weight: bold;">${formatDuration(digest.totalTime)}</p>
+              <p style="color: #666; margin: 6px 0 0;">${digest.sessions} session(s) on ${digest.daysActive} day(s)</p>
+              <p style="color: #666; margin: 6px 0 0; font-size: 14px;">${changeText}</p>
+            </div>
+
+            <div style="background: #e3f2fd; padding: 20px; border-radius: 8px; margin: 20px 0;">
+              <p style="color: #1976d2; margin: 0; font-weight: bold;">
+                🔥 Current Streak: ${digest.streak.currentStreak} days
+              </p>
+              <p style="color: #666; margin: 6px 0 0; font-size: 14px;">
+                Best: ${digest.streak.highestStreak} days · Streak freezes: ${digest.streak.streakFreezes}
+              </p>
+            </div>
+
+            ${
+              digest.subjects.length > 0
+                ? `
+              <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <h3 style="color: #333; margin: 0 0 15px 0;">📚 By Subject</h3>
+                <table style="width: 100%; border-collapse: collapse;">${subjectRows}</table>
+              </div>
+            `
+                : ""
+            }
+
+            ${
+              digest.overdueTodos.length > 0
+                ? `
+              <div style="background: #ffebee; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <h3 style="color: #c62828; margin: 0 0 15px 0;">⏰ Overdue Todos</h3>
+                <ul style="margin: 0; padding-left: 20px; color: #333;">${todoItems}</ul>
+              </div>
+            `
+                : ""
+            }
+
+            ${
+              digest.upcomingEvents.length > 0
+                ? `
+              <div style="background: #fff3e0; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <h3 style="color: #f57c00; margin: 0 0 15px 0;">📅 Coming Up This Week</h3>
+                <ul style="margin: 0; padding-left: 20px; color: #333;">${eventItems}</ul>
+              </div>
+            `
+                : ""
+            }
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${process.env.CLIENT_URL}" 
+                 style="background: linear-gradient(135deg, #8B5CF6 0%, #3B82F6 100%); 
+                        color: white; 
+                        padding: 15px 30px; 
+                        text-decoration: none; 
+                        border-radius: 8px; 
+                        font-weight: bold;
+                        display: inline-block;">
+                Plan Your Week 🚀
+              </a>
+            </div>
+
+            <p style="color: #999; font-size: 14px; margin-top: 30px;">
+              You can turn off the weekly digest or change its day in your profile settings.
+            </p>
+          </div>
+        </div>
+      `,
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Weekly digest sent to ${user.email}`);
+    } catch (error) {
+      console.error("Failed to send weekly digest:", error);
+      throw error;
+    }
+  }
 }
 
 export default new EmailService();
@@ -0,0 +1,91 @@
+import CalendarEvent from "../models/CalendarEvent.js";
+import StudySession from "../models/StudySession.js";
+import recurrenceService, { eventDayKey } from "./recurrenceService.js";
+import { parseTime } from "../utils/schedule.js";
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Links study events to the sessions started from them
+class EventAttendanceService {
+  // The occurrence of a study event a session starts from. occurrenceDate
+  // defaults to the event's day, or today for recurring events.
+  // Returns { occurrence } or { status, error }.
+  async findOccurrence(userId, eventId, occurrenceDate, todayKey) {
+    const event = await CalendarEvent.findOne({ _id: eventId, userId });
+    if (!event) {
+      return { status: 404, error: "Event not found" };
+    }
+    if (event.type !== "study") {
+      return { status: 400, error: "Only study events can start a session" };
+    }
+
+    const dayKey = occurrenceDate || (event.recurrence ? todayKey : eventDayKey(event.date));
+    if (!DAY_KEY.test(dayKey)) {
+      return { status: 400, error: "occurrenceDate must be in YYYY-MM-DD format" };
+    }
+
+    const occurrence = recurrenceService.occurrenceOf(event, dayKey);
+    if (!occurrence) {
+      return { status: 400, error: "occurrenceDate is not an occurrence of this event" };
+    }
+    return { occurrence: { ...occurrence, occurrenceDate: dayKey } };
+  }
+
+  // Planned minutes from an occurrence's start and end, if it has both
+  plannedMinutes(occurrence) {
+    const start = parseTime(occurrence.startTime);
+    const end = parseTime(occurrence.endTime);
+    return start !== null && end !== null && end > start ? end - start : null;
+  }
+
+  // Rebuild one occurrence's attendance from the sessions linked to it
+  async refresh(eventId, occurrenceDate) {
+    const event = await CalendarEvent.findById(eventId);
+    if (!event) return;
+
+    const sessions = await StudySession.find({ eventId, occurrenceDate }).sort({
+      startTime: 1,
+    });
+    const attendance = event.attendance.filter(
+      (entry) => entry.occurrenceDate !== occurrenceDate
+    );
+
+    const occurrence = recurrenceService.occurrenceOf(event, occurrenceDate);
+    if (sessions.length > 0) {
+      attendance.push({
+        occurrenceDate,
+        sessionIds: sessions.map((s) => s._id),
+        plannedMinutes: occurrence ? this.plannedMinutes(occurrence) : null,
+        actualMinutes: Math.round(
+          sessions.reduce((sum, s) => sum + (s.actualTime || 0), 0) / 60
+        ),
+        startedAt: sessions[0].startTime,
+        endedAt: sessions.reduce(
+          (last, s) => (s.endTime && (!last || s.endTime > last) ? s.endTime : last),
+          null
+        ),
+      });
+    }
+
+    event.attendance = attendance.sort((a, b) =>
+      a.occurrenceDate.localeCompare(b.occurrenceDate)
+    );
+    await event.save();
+  }
+
+  // Refresh the events a session belonged to before and after a change
+  async sync(before, after) {
+    const links = new Map();
+    [before, after].forEach((session) => {
+      if (session?.eventId && session.occurrenceDate) {
+        links.set(`${session.eventId}:${session.occurrenceDate}`, session);
+      }
+    });
+
+    for (const { eventId, occurrenceDate } of links.values()) {
+      await this.refresh(eventId, occurrenceDate);
+    }
+  }
+}
+
+export default new EventAttendanceService();
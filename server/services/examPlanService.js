@@ -0,0 +1,326 @@
+import mongoose from "mongoose";
+import StudySession from "../models/StudySession.js";
+import Timetable from "../models/Timetable.js";
+import timetableService from "./timetableService.js";
+import recurrenceService, { eventDayKey } from "./recurrenceService.js";
+import { DAYS, parseTime, formatTime } from "../utils/schedule.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  weekdayOfDayKey,
+  startOfDay,
+  zonedTime,
+} from "../utils/timezone.js";
+
+// How far ahead upcoming exams are listed
+export const EXAM_HORIZON_DAYS = 120;
+
+const MAX_TARGET_HOURS = 500;
+// Revision is behind when studied time is under this share of the even
+// pace so far...
+const BEHIND_PACE_RATIO = 0.75;
+// ...but only once this much of the revision period has gone by
+const MIN_ELAPSED_FOR_PACE = 0.25;
+// Planned minutes per day are rounded to this
+const PLAN_STEP_MINUTES = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (fromKey, toKey) =>
+  Math.round((Date.parse(toKey) - Date.parse(fromKey)) / DAY_MS);
+
+const roundToStep = (minutes) =>
+  Math.round(minutes / PLAN_STEP_MINUTES) * PLAN_STEP_MINUTES;
+
+// Countdowns and revision plans for upcoming exams
+class ExamPlanService {
+  // Validate a client revision target for a one-off exam.
+  // Returns { revision } (null to clear it) or { error }.
+  parseRevision(input, exam, todayKey) {
+    if (input === undefined || input === null || input === false) {
+      return { revision: null };
+    }
+    if (typeof input !== "object") {
+      return { error: "Revision must be an object" };
+    }
+    if (exam.type !== "exam" || exam.recurrence) {
+      return { error: "Revision targets are for one-off exams" };
+    }
+    if (!exam.subject && !exam.subjectId) {
+      return { error: "Give the exam a subject to plan revision for it" };
+    }
+    const examKey = eventDayKey(exam.date);
+
+    const targetHours = Number(input.targetHours);
+    if (!Number.isFinite(targetHours) || targetHours <= 0 || targetHours > MAX_TARGET_HOURS) {
+      return { error: `Revision targetHours must be between 0 and ${MAX_TARGET_HOURS}` };
+    }
+
+    let startKey = todayKey < examKey ? todayKey : examKey;
+    if (input.startDate) {
+      const startDate = new Date(input.startDate);
+      if (Number.isNaN(startDate.getTime())) {
+        return { error: "Revision startDate must be a valid date" };
+      }
+      startKey = eventDayKey(startDate);
+    }
+    if (startKey > examKey) {
+      return { error: "Revision must start before the exam" };
+    }
+
+    return {
+      revision: {
+        targetHours: Math.round(targetHours * 100) / 100,
+        startDate: new Date(`${startKey}T00:00:00Z`),
+      },
+    };
+  }
+
+  studyDaysOf(user) {
+    return user.preferences?.studyDays?.length ? user.preferences.studyDays : DAYS;
+  }
+
+  // Sessions of the exam's subject, matched like subject goals
+  sessionMatch(user, exam, start, end) {
+    const match = {
+      userId: new mongoose.Types.ObjectId(String(user._id)),
+      startTime: { $gte: start, $lt: end },
+    };
+    if (exam.subjectId) match.subjectId = exam.subjectId;
+    else match.subject = exam.subject;
+    return match;
+  }
+
+  // Minutes of a day's timetable slots for the exam's subject, and free
+  // minutes between the preferred study hours around all other slots
+  dayCapacity(user, exam, day) {
+    const slots = (day?.slots || [])
+      .map((slot) => {
+        const start = parseTime(slot.time);
+        return start === null ? null : { slot, start, end: start + (slot.duration || 0) };
+      })
+      .filter(Boolean);
+
+    const isSubject = ({ slot }) =>
+      exam.subjectId && slot.subjectId
+        ? String(slot.subjectId) === String(exam.subjectId)
+        : slot.subject === exam.subject;
+
+    const timetableMinutes = slots
+      .filter(isSubject)
+      .reduce((sum, { start, end }) => sum + (end - start), 0);
+    const freeMinutes = timetableService
+      .freeWindows(
+        user.preferences?.preferredStudyHours,
+        slots.map(({ start, end }) => ({ start, end }))
+      )
+      .reduce((sum, w) => sum + (w.end - w.start), 0);
+
+    return { timetableMinutes, freeMinutes };
+  }
+
+  // Spread minutes over the days: the subject's own timetable slots come
+  // first, the rest goes evenly into free time. Returns what didn't fit.
+  distribute(days, minutes) {
+    let left = minutes;
+    days.forEach((day) => {
+      day.plannedMinutes = Math.min(day.timetableMinutes, left);
+      left -= day.plannedMinutes;
+    });
+
+    let open = days.filter((day) => day.freeMinutes > 0);
+    while (left >= 1 && open.length > 0) {
+      const share = left / open.length;
+      open.forEach((day) => {
+        const extra = Math.min(share, day.freeMinutes - day.extraMinutes);
+        day.extraMinutes += extra;
+        left -= extra;
+      });
+      open = open.filter((day) => day.extraMinutes < day.freeMinutes);
+    }
+
+    days.forEach((day) => {
+      day.plannedMinutes = roundToStep(day.plannedMinutes + day.extraMinutes);
+      delete day.extraMinutes;
+    });
+    return Math.max(0, Math.round(left));
+  }
+
+  // Countdown of one exam occurrence, plus its revision plan when it has
+  // a target. `timetable` is the active timetable, if any.
+  async plan(user, exam, { timetable = null, now = new Date() } = {}) {
+    const timezone = resolveTimezone(user);
+    const todayKey = toDayKey(now, timezone);
+    const examKey = eventDayKey(exam.date);
+    const startsAt = zonedTime(
+      examKey,
+      parseTime(exam.startTime) === null ? "00:00" : formatTime(parseTime(exam.startTime)),
+      timezone
+    );
+
+    const result = {
+      _id: exam._id,
+      occurrenceId: exam.occurrenceId || null,
+      occurrenceDate: exam.occurrenceDate || null,
+      title: exam.title,
+      subject: exam.subject || null,
+      subjectId: exam.subjectId || null,
+      date: exam.date,
+      startTime: exam.startTime || null,
+      countdown: {
+        startsAt,
+        daysUntil: daysBetween(todayKey, examKey),
+        hoursUntil: Math.max(0, Math.floor((startsAt - now) / (60 * 60 * 1000))),
+      },
+      plan: null,
+    };
+    if (!exam.revision?.targetHours || exam.recurrence || !(exam.subject || exam.subjectId)) {
+      return result;
+    }
+
+    // Revision runs up to the day before the exam, on study days only
+    const startKey = eventDayKey(exam.revision.startDate);
+    const lastKey = shiftDayKey(examKey, -1);
+    const studyDays = this.studyDaysOf(user);
+    const targetMinutes = Math.round(exam.revision.targetHours * 60);
+
+    const sessions = await StudySession.find(
+      this.sessionMatch(user, exam, startOfDay(startKey, timezone), now < startsAt ? now : startsAt),
+      { startTime: 1, actualTime: 1 }
+    ).lean();
+
+    const studiedByDay = new Map();
+    sessions.forEach((session) => {
+      const key = toDayKey(session.startTime, timezone);
+      studiedByDay.set(key, (studiedByDay.get(key) || 0) + (session.actualTime || 0) / 60);
+    });
+    const studiedMinutes = Math.floor(
+      [...studiedByDay.values()].reduce((sum, minutes) => sum + minutes, 0)
+    );
+    const studiedBeforeToday = Math.floor(
+      [...studiedByDay.entries()]
+        .filter(([key]) => key < todayKey)
+        .reduce((sum, [, minutes]) => sum + minutes, 0)
+    );
+
+    let totalDays = 0;
+    let elapsedDays = 0;
+    for (let key = startKey; key <= lastKey; key = shiftDayKey(key, 1)) {
+      if (!studyDays.includes(weekdayOfDayKey(key))) continue;
+      totalDays += 1;
+      if (key < todayKey) elapsedDays += 1;
+    }
+
+    // Today's share is planned from what was left this morning, so it
+    // doesn't shrink while studying
+    const firstKey = startKey > todayKey ? startKey : todayKey;
+    const resolved =
+      timetable && firstKey <= lastKey
+        ? timetableService.resolveRange(timetable, firstKey, lastKey)
+        : [];
+    const days = [];
+    for (let key = firstKey; key <= lastKey; key = shiftDayKey(key, 1)) {
+      const weekday = weekdayOfDayKey(key);
+      if (!studyDays.includes(weekday)) continue;
+      days.push({
+        date: key,
+        weekday,
+        ...this.dayCapacity(user, exam, resolved.find((day) => day.date === key)),
+        plannedMinutes: 0,
+        extraMinutes: 0,
+        studiedMinutes: Math.floor(studiedByDay.get(key) || 0),
+      });
+    }
+
+    const unplannedMinutes = this.distribute(
+      days,
+      Math.max(0, targetMinutes - studiedBeforeToday)
+    );
+    // Measured from what is left now, like remainingMinutes: study today
+    // beyond today's share comes off what didn't fit
+    const remainingMinutes = Math.max(0, targetMinutes - studiedMinutes);
+    const aheadToday = Math.max(
+      0,
+      Math.floor(studiedByDay.get(todayKey) || 0) -
+        (days[0]?.date === todayKey ? days[0].plannedMinutes : 0)
+    );
+    const shortfallMinutes = Math.max(0, unplannedMinutes - aheadToday);
+
+    const elapsed = totalDays ? elapsedDays / totalDays : 1;
+    const expectedMinutes = Math.round(targetMinutes * elapsed);
+
+    let status = "on_track";
+    if (studiedMinutes >= targetMinutes) {
+      status = "met";
+    } else if (shortfallMinutes > 0) {
+      status = "short_on_time";
+    } else if (
+      elapsed >= MIN_ELAPSED_FOR_PACE &&
+      studiedBeforeToday < expectedMinutes * BEHIND_PACE_RATIO
+    ) {
+      status = "behind";
+    }
+
+    result.plan = {
+      startDate: startKey,
+      targetMinutes,
+      studiedMinutes,
+      remainingMinutes,
+      percent: Math.min(100, Math.round((studiedMinutes / targetMinutes) * 100)),
+      expectedMinutes,
+      shortfallMinutes,
+      todayMinutes: days[0]?.date === todayKey ? days[0].plannedMinutes : 0,
+      status,
+      days,
+    };
+    return result;
+  }
+
+  // Upcoming exam occurrences with countdowns and plans, soonest first
+  async getUpcoming(user, { days = EXAM_HORIZON_DAYS, now = new Date() } = {}) {
+    const todayKey = toDayKey(now, resolveTimezone(user));
+    const [exams, timetable] = await Promise.all([
+      recurrenceService.findOccurrences(
+        user._id,
+        todayKey,
+        shiftDayKey(todayKey, days - 1),
+        { type: "exam" }
+      ),
+      Timetable.findOne({ userId: user._id, isActive: true }).lean(),
+    ]);
+
+    const plans = await Promise.all(
+      exams.map((exam) => this.plan(user, exam, { timetable, now }))
+    );
+    // Exams earlier today that already started are over
+    return plans.filter((exam) => exam.countdown.startsAt > now || !exam.startTime);
+  }
+
+  // One warning per exam whose revision needs attention
+  warningsOf(exams) {
+    return exams
+      .filter((exam) => ["behind", "short_on_time"].includes(exam.plan?.status))
+      .map((exam) => {
+        const { plan } = exam;
+        const hoursLeft = Math.round((plan.remainingMinutes / 60) * 10) / 10;
+        const message =
+          plan.status === "short_on_time"
+            ? `${hoursLeft}h of revision left but only ${Math.round(
+                ((plan.remainingMinutes - plan.shortfallMinutes) / 60) * 10
+              ) / 10}h fit before the exam`
+            : `${plan.studiedMinutes} of ${plan.expectedMinutes} minutes revised so far; ${hoursLeft}h to go`;
+        return {
+          examId: exam._id,
+          occurrenceDate: exam.occurrenceDate,
+          title: exam.title,
+          subject: exam.subject,
+          daysUntil: exam.countdown.daysUntil,
+          status: plan.status,
+          message,
+        };
+      });
+  }
+}
+
+export default new ExamPlanService();
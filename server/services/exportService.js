@@ -0,0 +1,142 @@
+import StudySession from "../models/StudySession.js";
+import UserStudyState from "../models/UserStudyState.js";
+import Subject from "../models/Subject.js";
+import Timetable from "../models/Timetable.js";
+import TimetableRevision from "../models/TimetableRevision.js";
+import TimetableActivation from "../models/TimetableActivation.js";
+import TimetableTemplate from "../models/TimetableTemplate.js";
+import Note from "../models/Note.js";
+import Todo from "../models/Todo.js";
+import CalendarEvent from "../models/CalendarEvent.js";
+import Goal from "../models/Goal.js";
+import DailyRollup from "../models/DailyRollup.js";
+import Message from "../models/Message.js";
+import Feedback from "../models/Feedback.js";
+import { toCsvRow } from "../utils/csv.js";
+
+export const ARCHIVE_VERSION = 1;
+
+export const SESSION_COLUMNS = [
+  "subject",
+  "startTime",
+  "endTime",
+  "actualTime",
+  "targetTime",
+  "completed",
+  "mode",
+  "notes",
+];
+
+// Every user-owned collection, keyed by its name in the archive
+const ARCHIVE_COLLECTIONS = {
+  subjects: Subject,
+  studySessions: StudySession,
+  activeSessions: UserStudyState,
+  timetables: Timetable,
+  timetableRevisions: TimetableRevision,
+  timetableActivations: TimetableActivation,
+  timetableTemplates: TimetableTemplate,
+  notes: Note,
+  todos: Todo,
+  calendarEvents: CalendarEvent,
+  goals: Goal,
+  dailyRollups: DailyRollup,
+  chatMessages: Message,
+  feedback: Feedback,
+};
+
+// Writes go through the response so large histories never sit in memory.
+// Backpressure is honoured by waiting for "drain". A closed or failed
+// response rejects, which ends the caller's loop and closes its cursor.
+const write = (res, chunk) =>
+  new Promise((resolve, reject) => {
+    if (res.destroyed || res.writableEnded) {
+      reject(new Error("Response closed during export"));
+      return;
+    }
+    if (res.write(chunk)) {
+      resolve();
+      return;
+    }
+
+    const settle = (error) => {
+      res.off("drain", onDrain);
+      res.off("close", onClose);
+      res.off("error", onError);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error("Response closed during export"));
+    const onError = (error) => settle(error);
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+    res.once("error", onError);
+  });
+
+class ExportService {
+  sessionQuery(userId, { start, end } = {}) {
+    const query = { userId };
+    if (start || end) {
+      query.startTime = {};
+      if (start) query.startTime.$gte = start;
+      if (end) query.startTime.$lt = end;
+    }
+    return StudySession.find(query).sort({ startTime: 1 }).lean().cursor();
+  }
+
+  async streamSessionsCsv(res, userId, range) {
+    await write(res, toCsvRow(SESSION_COLUMNS));
+    for await (const session of this.sessionQuery(userId, range)) {
+      await write(res, toCsvRow(SESSION_COLUMNS.map((key) => session[key])));
+    }
+    res.end();
+  }
+
+  async streamSessionsJson(res, userId, range) {
+    await write(res, "[");
+    let first = true;
+    for await (const session of this.sessionQuery(userId, range)) {
+      const row = Object.fromEntries(
+        SESSION_COLUMNS.map((key) => [key, session[key] ?? null])
+      );
+      await write(res, `${first ? "" : ","}\n${JSON.stringify(row)}`);
+      first = false;
+    }
+    await write(res, "\n]");
+    res.end();
+  }
+
+  // Full-account backup: the profile plus every collection the user owns
+  async streamArchive(res, user) {
+    await write(
+      res,
+      `{"version":${ARCHIVE_VERSION},"exportedAt":${JSON.stringify(
+        new Date()
+      )},"user":${JSON.stringify(user.toJSON())},"collections":{`
+    );
+
+    const names = Object.keys(ARCHIVE_COLLECTIONS);
+    for (const [index, name] of names.entries()) {
+      await write(res, `${index ? "," : ""}\n${JSON.stringify(name)}:[`);
+
+      let first = true;
+      const cursor = ARCHIVE_COLLECTIONS[name]
+        .find({ userId: user._id })
+        .sort({ _id: 1 })
+        .lean()
+        .cursor();
+      for await (const doc of cursor) {
+        await write(res, `${first ? "" : ","}\n${JSON.stringify(doc)}`);
+        first = false;
+      }
+
+      await write(res, "]");
+    }
+
+    await write(res, "\n}}");
+    res.end();
+  }
+}
+
+export default new ExportService();
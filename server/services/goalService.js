@@ -0,0 +1,209 @@
+import mongoose from "mongoose";
+import Goal from "../models/Goal.js";
+import StudySession from "../models/StudySession.js";
+import User from "../models/User.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  startOfDay,
+  dayRange,
+} from "../utils/timezone.js";
+
+// A goal is behind pace when progress is under this share of what it
+// should be by now...
+const BEHIND_PACE_RATIO = 0.75;
+// ...but only once this much of the period has gone by
+const MIN_ELAPSED_FOR_PACE = 0.25;
+
+class GoalService {
+  // The window a goal's progress is measured over right now. Nothing
+  // from before the goal's start date counts; a window that ends before
+  // it starts is empty.
+  getWindow(goal, timezone, now = new Date()) {
+    const window = this.periodWindow(goal, timezone, now);
+    if (goal.startDate && goal.startDate > window.start) {
+      window.start = goal.startDate < window.end ? goal.startDate : window.end;
+    }
+    return window;
+  }
+
+  // The calendar period of a goal around now
+  periodWindow(goal, timezone, now = new Date()) {
+    const todayKey = toDayKey(now, timezone);
+
+    switch (goal.period) {
+      case "daily": {
+        const { start, end } = dayRange(now, timezone);
+        return { periodKey: todayKey, start, end };
+      }
+      case "weekly": {
+        const weekday = (new Date(`${todayKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+        const startKey = shiftDayKey(todayKey, -weekday);
+        return {
+          periodKey: startKey,
+          start: startOfDay(startKey, timezone),
+          end: startOfDay(shiftDayKey(startKey, 7), timezone),
+        };
+      }
+      case "monthly": {
+        const startKey = `${todayKey.slice(0, 7)}-01`;
+        const next = new Date(`${startKey}T00:00:00Z`);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        return {
+          periodKey: todayKey.slice(0, 7),
+          start: startOfDay(startKey, timezone),
+          end: startOfDay(next.toISOString().split("T")[0], timezone),
+        };
+      }
+      default:
+        return {
+          periodKey: "custom",
+          start: goal.startDate,
+          end: goal.deadline,
+        };
+    }
+  }
+
+  // Goal with its progress for the current window
+  async computeProgress(goal, timezone, now = new Date()) {
+    const { periodKey, start, end } = this.getWindow(goal, timezone, now);
+
+    const match = {
+      userId: new mongoose.Types.ObjectId(String(goal.userId)),
+      startTime: { $gte: start, $lt: end < now ? end : now },
+    };
+    if (goal.scope === "subject") {
+      if (goal.subjectId) match.subjectId = goal.subjectId;
+      else match.subject = goal.subject;
+    }
+
+    const [totals] = await StudySession.aggregate([
+      { $match: match },
+      { $group: { _id: null, time: { $sum: "$actualTime" } } },
+    ]);
+
+    const minutes = Math.floor((totals?.time || 0) / 60);
+    const upcoming = now < start;
+    const elapsed = upcoming
+      ? 0
+      : Math.min(1, Math.max(0, (now - start) / (end - start)));
+    const expectedMinutes = Math.round(goal.targetMinutes * elapsed);
+
+    let status = "on_track";
+    if (upcoming) {
+      status = "upcoming";
+    } else if (minutes >= goal.targetMinutes) {
+      status = "met";
+    } else if (now >= end) {
+      status = "missed";
+    } else if (
+      elapsed >= MIN_ELAPSED_FOR_PACE &&
+      minutes < expectedMinutes * BEHIND_PACE_RATIO
+    ) {
+      status = "behind";
+    }
+
+    return {
+      ...goal.toJSON(),
+      progress: {
+        periodKey,
+        periodStart: start,
+        periodEnd: end,
+        minutes,
+        targetMinutes: goal.targetMinutes,
+        remainingMinutes: Math.max(0, goal.targetMinutes - minutes),
+        percent: Math.min(100, Math.round((minutes / goal.targetMinutes) * 100)),
+        expectedMinutes,
+        status,
+      },
+    };
+  }
+
+  // Repeating goals stop once their deadline has passed
+  hasEnded(goal, now = new Date()) {
+    return goal.period !== "custom" && !!goal.deadline && goal.deadline < now;
+  }
+
+  // Active goals of a user with progress
+  async getGoalsWithProgress(user, now = new Date()) {
+    const goals = await Goal.find({ userId: user._id, isActive: true }).sort({
+      createdAt: -1,
+    });
+    const timezone = resolveTimezone(user);
+
+    return Promise.all(
+      goals
+        .filter((goal) => !this.hasEnded(goal, now))
+        .map((goal) => this.computeProgress(goal, timezone, now))
+    );
+  }
+
+  describe(goal) {
+    if (goal.title) return goal.title;
+    const scope = goal.scope === "subject" ? `${goal.subject} ` : "";
+    return `${goal.period} ${scope}goal`.trim();
+  }
+
+  // Notify the user once per period when a goal is met or falls behind pace
+  async checkGoals(io, user, now = new Date()) {
+    try {
+      const goals = await Goal.find({ userId: user._id, isActive: true });
+      const timezone = resolveTimezone(user);
+
+      for (const goal of goals) {
+        if (this.hasEnded(goal, now)) continue;
+
+        const { progress } = await this.computeProgress(goal, timezone, now);
+        let notification = null;
+
+        if (progress.status === "met" && goal.notified.met !== progress.periodKey) {
+          goal.notified.met = progress.periodKey;
+          notification = {
+            type: "goal_met",
+            title: "🎯 Goal reached!",
+            message: `You hit your ${this.describe(goal)}: ${progress.minutes} of ${goal.targetMinutes} minutes.`,
+          };
+        } else if (
+          progress.status === "behind" &&
+          goal.notified.behind !== progress.periodKey
+        ) {
+          goal.notified.behind = progress.periodKey;
+          notification = {
+            type: "goal_behind",
+            title: "⏳ Falling behind",
+            message: `Your ${this.describe(goal)} is at ${progress.minutes} of ${goal.targetMinutes} minutes. ${progress.remainingMinutes} to go!`,
+          };
+        }
+
+        if (notification) {
+          await goal.save();
+          io?.to(`user:${user._id}`).emit("notification", {
+            ...notification,
+            goalId: goal._id,
+            progress,
+            timestamp: now,
+          });
+        }
+      }
+    } catch (error) {
+      console.error("Check goals error:", error);
+    }
+  }
+
+  // Pace check for every user with active goals
+  async checkAllGoals(io) {
+    try {
+      const userIds = await Goal.distinct("userId", { isActive: true });
+      const users = await User.find({ _id: { $in: userIds } });
+
+      for (const user of users) {
+        await this.checkGoals(io, user);
+      }
+    } catch (error) {
+      console.error("Error checking goals:", error);
+    }
+  }
+}
+
+export default new GoalService();
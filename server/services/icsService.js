@@ -0,0 +1,370 @@
+import CalendarEvent from "../models/CalendarEvent.js";
+import Timetable from "../models/Timetable.js";
+import TimetableActivation from "../models/TimetableActivation.js";
+import reminderService from "./reminderService.js";
+import { EXCEPTION_FIELDS, eventDayKey } from "./recurrenceService.js";
+import { DAYS, parseTime, formatTime } from "../utils/schedule.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  weekdayOfDayKey,
+  zonedTime,
+  offsetAt,
+} from "../utils/timezone.js";
+import {
+  ICS_DAYS,
+  escapeIcsText,
+  formatIcsUtc,
+  formatIcsDate,
+  formatIcsLocal,
+  formatIcsOffset,
+  buildIcs,
+} from "../utils/ics.js";
+
+// Older events are left out of feeds and downloads
+export const ICS_PAST_DAYS = 90;
+
+const PRODUCT_ID = "-//FocusVault//Study Calendar//EN";
+const UID_DOMAIN = "focusvault";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const ICS_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+// Day of the month of the nth weekday (0 = Sunday); ordinal -1 is the last
+const nthWeekday = (year, month, weekday, ordinal) => {
+  if (ordinal > 0) {
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return 1 + ((weekday - first + 7) % 7) + (ordinal - 1) * 7;
+  }
+  const last = new Date(Date.UTC(year, month + 1, 0));
+  return last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+};
+
+// Calendar events and the active timetable as an iCalendar file
+class IcsService {
+  // Local times carry the user's IANA zone as TZID, described by the
+  // VTIMEZONE from timezoneLines
+  localTime(timezone, dayKey, time) {
+    return `;TZID=${timezone}:${formatIcsLocal(dayKey, time)}`;
+  }
+
+  // Offset changes of a zone during a year, to the minute
+  transitionsIn(timezone, year) {
+    const transitions = [];
+    const end = Date.UTC(year + 1, 0, 1);
+    let time = Date.UTC(year, 0, 1);
+    let offset = offsetAt(time, timezone);
+    while (time < end) {
+      const next = Math.min(time + DAY_MS, end);
+      const nextOffset = offsetAt(next, timezone);
+      if (nextOffset !== offset) {
+        let low = time;
+        let high = next;
+        while (high - low > MINUTE_MS) {
+          const middle = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+          if (offsetAt(middle, timezone) === offset) low = middle;
+          else high = middle;
+        }
+        transitions.push({ at: high, from: offset, to: nextOffset });
+        offset = nextOffset;
+      }
+      time = next;
+    }
+    return transitions;
+  }
+
+  // One STANDARD or DAYLIGHT block; `rule` repeats it yearly
+  observanceLines({ at, from, to }, rule) {
+    const kind = to > from ? "DAYLIGHT" : "STANDARD";
+    // DTSTART is the wall clock time the change happens at, before it
+    const local = new Date(at + from).toISOString();
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${formatIcsLocal(local.slice(0, 10), local.slice(11, 16))}`,
+      `TZOFFSETFROM:${formatIcsOffset(from)}`,
+      `TZOFFSETTO:${formatIcsOffset(to)}`,
+      ...(rule ? [`RRULE:${rule}`] : []),
+      `END:${kind}`,
+    ];
+  }
+
+  // VTIMEZONE for the TZID on local times (RFC 5545 §3.6.5). A zone that
+  // changes twice a year is written as yearly rules from 1970, taken from
+  // this year's changes; any other zone as this year's changes as they are.
+  timezoneLines(timezone, now = new Date()) {
+    const year = now.getUTCFullYear();
+    const transitions = this.transitionsIn(timezone, year);
+    let observances;
+
+    if (transitions.length === 2) {
+      observances = transitions.flatMap((transition) => {
+        const local = new Date(transition.at + transition.from);
+        const month = local.getUTCMonth();
+        const weekday = local.getUTCDay();
+        const day = local.getUTCDate();
+        const ordinal =
+          nthWeekday(year, month, weekday, -1) === day ? -1 : Math.ceil(day / 7);
+        const start = Date.UTC(
+          1970,
+          month,
+          nthWeekday(1970, month, weekday, ordinal),
+          local.getUTCHours(),
+          local.getUTCMinutes()
+        );
+        return this.observanceLines(
+          { ...transition, at: start - transition.from },
+          `FREQ=YEARLY;BYMONTH=${month + 1};BYDAY=${ordinal}${ICS_WEEKDAYS[weekday]}`
+        );
+      });
+    } else {
+      const initial = transitions[0]?.from ?? offsetAt(now.getTime(), timezone);
+      observances = [
+        ...this.observanceLines({ at: -initial, from: initial, to: initial }),
+        ...transitions.flatMap((transition) => this.observanceLines(transition)),
+      ];
+    }
+
+    return ["BEGIN:VTIMEZONE", `TZID:${timezone}`, ...observances, "END:VTIMEZONE"];
+  }
+
+  // DTSTART-style value of an event's day: a date for all-day events,
+  // otherwise the local start time
+  eventTime(event, dayKey, timezone) {
+    const start = parseTime(event.startTime);
+    return start === null
+      ? `;VALUE=DATE:${formatIcsDate(dayKey)}`
+      : this.localTime(timezone, dayKey, formatTime(start));
+  }
+
+  recurrenceRule(event, timezone) {
+    const { freq, interval, byDay, until, count } = event.recurrence;
+    const parts = [`FREQ=${freq.toUpperCase()}`];
+    if (interval > 1) parts.push(`INTERVAL=${interval}`);
+    if (freq === "weekly" && byDay?.length) parts.push(`BYDAY=${byDay.join(",")}`);
+    if (count) parts.push(`COUNT=${count}`);
+    if (until) {
+      const untilKey = eventDayKey(until);
+      // UNTIL is a date for all-day series, otherwise a UTC moment
+      parts.push(
+        `UNTIL=${
+          parseTime(event.startTime) === null
+            ? formatIcsDate(untilKey)
+            : formatIcsUtc(zonedTime(untilKey, "23:59", timezone))
+        }`
+      );
+    }
+    return parts.join(";");
+  }
+
+  // A one-off event, or a series with its cancelled occurrences excluded
+  // and each edited occurrence as its own VEVENT with a RECURRENCE-ID
+  eventLines(event, timezone, { recurrenceId } = {}) {
+    const dayKey = eventDayKey(event.date);
+    const start = parseTime(event.startTime);
+    const end = parseTime(event.endTime);
+    const lines = [
+      "BEGIN:VEVENT",
+      `UID:event-${event._id}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatIcsUtc(event.updatedAt || event.createdAt || new Date())}`,
+      `SUMMARY:${escapeIcsText(event.title)}`,
+    ];
+
+    if (start === null) {
+      lines.push(
+        `DTSTART;VALUE=DATE:${formatIcsDate(dayKey)}`,
+        `DTEND;VALUE=DATE:${formatIcsDate(shiftDayKey(dayKey, 1))}`
+      );
+    } else {
+      lines.push(
+        `DTSTART${this.localTime(timezone, dayKey, formatTime(start))}`,
+        `DURATION:PT${end !== null && end > start ? end - start : 60}M`
+      );
+    }
+
+    if (recurrenceId) {
+      lines.push(`RECURRENCE-ID${recurrenceId}`);
+    } else if (event.recurrence) {
+      lines.push(`RRULE:${this.recurrenceRule(event, timezone)}`);
+      (event.exceptions || [])
+        .filter((ex) => ex.cancelled)
+        .forEach((ex) =>
+          lines.push(`EXDATE${this.eventTime(event, ex.originalDate, timezone)}`)
+        );
+    }
+
+    const details = [event.subject && `Subject: ${event.subject}`, event.description]
+      .filter(Boolean)
+      .join("\n");
+    if (details) lines.push(`DESCRIPTION:${escapeIcsText(details)}`);
+    lines.push(`CATEGORIES:${escapeIcsText(event.type || "other")}`);
+    if (event.priority === "high") lines.push("PRIORITY:1");
+
+    reminderService.remindersOf(event).forEach((reminder) => {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeIcsText(event.title)}`,
+        `TRIGGER:-PT${Math.max(0, reminder.time || 0)}M`,
+        "END:VALARM"
+      );
+    });
+
+    lines.push("END:VEVENT");
+
+    if (event.recurrence && !recurrenceId) {
+      (event.exceptions || [])
+        .filter((ex) => !ex.cancelled)
+        .forEach((ex) => {
+          const occurrence = { ...event, date: new Date(`${ex.originalDate}T00:00:00Z`) };
+          EXCEPTION_FIELDS.forEach((field) => {
+            if (ex[field] !== undefined && ex[field] !== null) occurrence[field] = ex[field];
+          });
+          lines.push(
+            ...this.eventLines(occurrence, timezone, {
+              recurrenceId: this.eventTime(event, ex.originalDate, timezone),
+            })
+          );
+        });
+    }
+    return lines;
+  }
+
+  slotLines({ uid, summary, dayKey, time, duration, stamp, timezone, rrule, exdates = [] }) {
+    return [
+      "BEGIN:VEVENT",
+      `UID:${uid}@${UID_DOMAIN}`,
+      `DTSTAMP:${formatIcsUtc(stamp)}`,
+      `SUMMARY:${escapeIcsText(summary)}`,
+      `DTSTART${this.localTime(timezone, dayKey, time)}`,
+      `DURATION:PT${duration || 60}M`,
+      rrule && `RRULE:${rrule}`,
+      ...exdates.map((date) => `EXDATE${this.localTime(timezone, date, time)}`),
+      "CATEGORIES:timetable",
+      "END:VEVENT",
+    ];
+  }
+
+  // Each weekly slot becomes a recurring event from the day the timetable
+  // was activated. Cancelled and moved dates are excluded from the series;
+  // moved and added slots become one-off events.
+  timetableLines(timetable, anchorKey, timezone) {
+    const stamp = timetable.updatedAt || timetable.createdAt || new Date();
+    const overrides = timetable.overrides || [];
+    const lines = [];
+
+    DAYS.forEach((day, index) => {
+      const offset = (index - DAYS.indexOf(weekdayOfDayKey(anchorKey)) + 7) % 7;
+      const firstKey = shiftDayKey(anchorKey, offset);
+
+      (timetable.schedule?.[day] || []).forEach((slot) => {
+        const start = parseTime(slot.time);
+        if (start === null) return;
+
+        const exdates = overrides
+          .filter(
+            (o) =>
+              weekdayOfDayKey(o.date) === day &&
+              ((o.action === "cancel" && !o.slotId) ||
+                (["cancel", "move"].includes(o.action) &&
+                  String(o.slotId) === String(slot._id)))
+          )
+          .map((o) => o.date);
+
+        lines.push(
+          ...this.slotLines({
+            uid: `slot-${slot._id}`,
+            summary: slot.subject,
+            dayKey: firstKey,
+            time: formatTime(start),
+            duration: slot.duration,
+            stamp,
+            timezone,
+            rrule: `FREQ=WEEKLY;BYDAY=${ICS_DAYS[day]}`,
+            exdates,
+          })
+        );
+      });
+    });
+
+    overrides
+      .filter((o) => o.action === "add" || o.action === "move")
+      .forEach((o) => {
+        const original =
+          o.action === "move" &&
+          (timetable.schedule?.[weekdayOfDayKey(o.date)] || []).find(
+            (slot) => String(slot._id) === String(o.slotId)
+          );
+        const time = parseTime(o.time ?? original?.time);
+        if (time === null || (o.action === "move" && !original)) return;
+
+        lines.push(
+          ...this.slotLines({
+            uid: `override-${o._id}`,
+            summary: o.subject || original?.subject,
+            dayKey: o.toDate || o.date,
+            time: formatTime(time),
+            duration: o.duration || original?.duration,
+            stamp: o.updatedAt || stamp,
+            timezone,
+          })
+        );
+      });
+
+    return lines;
+  }
+
+  async buildCalendar(user, now = new Date()) {
+    const timezone = resolveTimezone(user);
+    const sinceKey = shiftDayKey(toDayKey(now, timezone), -ICS_PAST_DAYS);
+
+    const [events, timetable] = await Promise.all([
+      CalendarEvent.find({
+        userId: user._id,
+        $or: [
+          { date: { $gte: new Date(`${sinceKey}T00:00:00Z`) } },
+          {
+            recurrence: { $ne: null },
+            $or: [
+              { "recurrence.until": null },
+              { "recurrence.until": { $gte: new Date(`${sinceKey}T00:00:00Z`) } },
+            ],
+          },
+        ],
+      })
+        .sort({ date: 1, startTime: 1 })
+        .lean(),
+      Timetable.findOne({ userId: user._id, isActive: true }),
+    ]);
+
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${PRODUCT_ID}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeIcsText(`FocusVault – ${user.name}`)}`,
+      `X-WR-TIMEZONE:${timezone}`,
+      ...this.timezoneLines(timezone, now),
+      ...events.flatMap((event) => this.eventLines(event, timezone)),
+    ];
+
+    if (timetable) {
+      const activation = await TimetableActivation.findOne({
+        timetableId: timetable._id,
+        deactivatedAt: null,
+      });
+      const anchorKey = toDayKey(
+        activation?.activatedAt || timetable.createdAt || now,
+        timezone
+      );
+      lines.push(...this.timetableLines(timetable, anchorKey, timezone));
+    }
+
+    lines.push("END:VCALENDAR");
+    return buildIcs(lines);
+  }
+}
+
+export default new IcsService();
@@ -0,0 +1,321 @@
+import mongoose from "mongoose";
+import StudySession from "../models/StudySession.js";
+import Subject from "../models/Subject.js";
+import subjectService from "./subjectService.js";
+import statsService from "./statsService.js";
+import { parseCsv } from "../utils/csv.js";
+import { zonedTime } from "../utils/timezone.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows listed back to the client in a report
+const PREVIEW_LIMIT = 100;
+
+// Column layout of Toggl's detailed time entry export
+const TOGGL_MAPPING = {
+  subject: ["Project", "Description"],
+  start: "Start date",
+  startTime: "Start time",
+  end: "End date",
+  endTime: "End time",
+  duration: "Duration",
+  notes: "Description",
+};
+
+// Header names tried, in order, when guessing a generic mapping
+const GENERIC_HEADERS = {
+  subject: ["subject", "project", "course", "topic", "category", "task"],
+  start: ["start", "start time", "started", "started at", "start date", "begin", "date"],
+  end: ["end", "end time", "ended", "ended at", "stop", "end date", "finish"],
+  duration: ["duration", "minutes", "time spent", "length"],
+  notes: ["notes", "note", "description", "comment", "comments"],
+};
+
+export const MAPPING_FIELDS = [
+  "subject",
+  "start",
+  "startTime",
+  "end",
+  "endTime",
+  "duration",
+  "notes",
+];
+
+class ImportService {
+  detectFormat(headers) {
+    return ["Project", "Start date", "Start time"].every((h) => headers.includes(h))
+      ? "toggl"
+      : "generic";
+  }
+
+  guessMapping(headers) {
+    const lower = headers.map((h) => h.trim().toLowerCase());
+    const mapping = {};
+    Object.entries(GENERIC_HEADERS).forEach(([field, names]) => {
+      const name = names.find((n) => lower.includes(n));
+      if (name) mapping[field] = headers[lower.indexOf(name)];
+    });
+    return mapping;
+  }
+
+  // Parse a date (plus optional separate time) in the given timezone.
+  // Values with an explicit offset or "Z" are taken as-is; bare ISO-style
+  // local values ("2024-03-01 14:05[:30]") are read as wall clock time.
+  parseDateTime(date, time, timezone) {
+    const value = [date, time].filter(Boolean).join(" ").trim();
+    if (!value) return null;
+
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+      const parsed = new Date(value);
+      return isNaN(parsed) ? null : parsed;
+    }
+
+    const match =
+      /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+    if (!match) return null;
+
+    const [, dayKey, hours = "0", minutes = "00", seconds = "0"] = match;
+    if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+      return null;
+    }
+
+    const parsed = zonedTime(
+      dayKey,
+      `${hours.padStart(2, "0")}:${minutes}`,
+      timezone
+    );
+    if (isNaN(parsed)) return null;
+    return new Date(parsed.getTime() + Number(seconds) * 1000);
+  }
+
+  // "HH:MM:SS", "H:MM" or a plain number of minutes, in seconds
+  parseDuration(value) {
+    const text = String(value ?? "").trim();
+    if (!text) return null;
+
+    if (/^\d+(:\d{1,2}){1,2}$/.test(text)) {
+      const parts = text.split(":").map(Number);
+      if (parts.length === 2) parts.push(0);
+      const [hours, minutes, seconds] = parts;
+      return hours * 3600 + minutes * 60 + seconds;
+    }
+
+    const minutes = Number(text);
+    return Number.isFinite(minutes) ? Math.round(minutes * 60) : null;
+  }
+
+  // Turn one CSV row into a session, or a rejection reason
+  toSession(row, columns, mapping, timezone, now) {
+    const cell = (field) => {
+      const names = [].concat(mapping[field] || []);
+      for (const name of names) {
+        const value = row[columns.indexOf(name)]?.trim();
+        if (value) return value;
+      }
+      return "";
+    };
+
+    const subject = cell("subject");
+    if (!subject) return { reason: "Missing subject" };
+
+    const startTime = this.parseDateTime(cell("start"), cell("startTime"), timezone);
+    if (!startTime) return { reason: "Invalid or missing start" };
+
+    let endTime = null;
+    if (cell("end")) {
+      endTime = this.parseDateTime(cell("end"), cell("endTime"), timezone);
+      if (!endTime) return { reason: "Invalid end" };
+    }
+
+    let actualTime = null;
+    if (cell("duration")) {
+      actualTime = this.parseDuration(cell("duration"));
+      if (actualTime === null) return { reason: "Invalid duration" };
+    }
+
+    if (!endTime && actualTime === null) {
+      return { reason: "Needs an end or a duration" };
+    }
+    if (endTime && endTime <= startTime) {
+      return { reason: "End is not after start" };
+    }
+
+    endTime = endTime || new Date(startTime.getTime() + actualTime * 1000);
+    actualTime = actualTime ?? Math.round((endTime - startTime) / 1000);
+
+    if (actualTime <= 0) return { reason: "Duration must be positive" };
+    if (endTime > now) return { reason: "Session is in the future" };
+
+    return {
+      session: {
+        subject: subjectService.displayName(subject),
+        startTime,
+        endTime,
+        actualTime,
+        notes: cell("notes"),
+      },
+    };
+  }
+
+  // Existing sessions that could overlap the imported range
+  async findExisting(userId, sessions) {
+    // Spreading a large list into Math.min/max overflows the stack
+    const first = sessions.reduce(
+      (min, s) => Math.min(min, s.startTime.getTime()),
+      Infinity
+    );
+    const last = sessions.reduce(
+      (max, s) => Math.max(max, s.endTime.getTime()),
+      -Infinity
+    );
+
+    const existing = await StudySession.find({
+      userId,
+      startTime: {
+        $gte: new Date(first - DAY_MS),
+        $lt: new Date(last),
+      },
+    })
+      .select("startTime endTime actualTime")
+      .lean();
+
+    // Sessions ended by older code may lack an endTime
+    return existing.map((s) => ({
+      startTime: s.startTime,
+      endTime: s.endTime || new Date(s.startTime.getTime() + s.actualTime * 1000),
+    }));
+  }
+
+  // Parse, validate and dedupe a CSV export; unless dryRun is set, the
+  // accepted sessions are saved and the user's stats rebuilt.
+  // options: { format: 'toggl' | 'generic', mapping, timezone, dryRun }
+  async importCsv(userId, text, options) {
+    const { timezone, dryRun = false } = options;
+    const [columns = [], ...rows] = parseCsv(text);
+    const headers = columns.map((c) => c.trim());
+
+    const format = options.format || this.detectFormat(headers);
+    const mapping =
+      format === "toggl"
+        ? TOGGL_MAPPING
+        : { ...this.guessMapping(headers), ...(options.mapping || {}) };
+
+    const report = {
+      dryRun,
+      format,
+      columns: headers,
+      mapping,
+      totalRows: rows.length,
+      imported: 0,
+      sessions: [],
+      rejected: [],
+      duplicates: [],
+    };
+
+    // The client shows the columns and asks for a mapping first
+    const missing = ["subject", "start"].filter((field) => !mapping[field]);
+    if (!mapping.end && !mapping.duration) missing.push("end or duration");
+    if (missing.length > 0) {
+      report.error = `Map a column for: ${missing.join(", ")}`;
+      return report;
+    }
+
+    const now = new Date();
+    const candidates = [];
+    rows.forEach((row, index) => {
+      // Line number in the file, counting the header
+      const line = index + 2;
+      const { session, reason } = this.toSession(row, headers, mapping, timezone, now);
+      if (session) candidates.push({ line, ...session });
+      else report.rejected.push({ line, reason });
+    });
+
+    if (candidates.length > 0) {
+      const existing = (await this.findExisting(userId, candidates)).sort(
+        (a, b) => a.startTime - b.startTime
+      );
+      const accepted = [];
+
+      // One pass over both lists in start order. A candidate overlaps an
+      // existing session if one that started no later ends after it
+      // starts, or the next one starts before it ends; accepted rows never
+      // overlap, so only the latest accepted end matters.
+      let next = 0;
+      let existingEnd = -Infinity;
+      let acceptedEnd = -Infinity;
+      candidates
+        .sort((a, b) => a.startTime - b.startTime)
+        .forEach((candidate) => {
+          while (
+            next < existing.length &&
+            existing[next].startTime <= candidate.startTime
+          ) {
+            existingEnd = Math.max(existingEnd, existing[next].endTime.getTime());
+            next += 1;
+          }
+
+          if (
+            existingEnd > candidate.startTime.getTime() ||
+            (next < existing.length && existing[next].startTime < candidate.endTime)
+          ) {
+            report.duplicates.push({
+              line: candidate.line,
+              reason: "Overlaps an existing session",
+            });
+          } else if (acceptedEnd > candidate.startTime.getTime()) {
+            report.duplicates.push({
+              line: candidate.line,
+              reason: "Overlaps another row in the file",
+            });
+          } else {
+            accepted.push(candidate);
+            acceptedEnd = Math.max(acceptedEnd, candidate.endTime.getTime());
+          }
+        });
+
+      report.imported = accepted.length;
+      report.sessions = accepted.slice(0, PREVIEW_LIMIT);
+      report.subjects = [
+        ...new Set(accepted.map((s) => Subject.normalize(s.subject))),
+      ].length;
+
+      if (!dryRun && accepted.length > 0) {
+        await this.save(userId, accepted);
+      }
+    }
+
+    report.rejected.sort((a, b) => a.line - b.line);
+    report.duplicates.sort((a, b) => a.line - b.line);
+    return report;
+  }
+
+  async save(userId, sessions) {
+    const subjects = new Map();
+    const docs = [];
+
+    for (const session of sessions) {
+      const key = Subject.normalize(session.subject);
+      if (!subjects.has(key)) {
+        subjects.set(key, await subjectService.resolve(userId, session.subject));
+      }
+      const subject = subjects.get(key);
+
+      docs.push({
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        subject: subject.name,
+        subjectId: subject._id,
+        actualTime: session.actualTime,
+        targetTime: null,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        completed: true,
+        notes: session.notes,
+      });
+    }
+
+    await StudySession.insertMany(docs);
+    await statsService.rebuild(userId);
+  }
+}
+
+export default new ImportService();
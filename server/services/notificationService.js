@@ -1,8 +1,24 @@
 import cron from 'node-cron';
 import User from '../models/User.js';
 import StudySession from '../models/StudySession.js';
-import CalendarEvent from '../models/CalendarEvent.js';
 import emailService from './emailService.js';
+import studyTimerService from './studyTimerService.js';
+import goalService from './goalService.js';
+import digestService from './digestService.js';
+import recurrenceService from './recurrenceService.js';
+import reminderService from './reminderService.js';
+import {
+  resolveTimezone,
+  getZonedParts,
+  toDayKey,
+  shiftDayKey,
+  dayRange,
+} from '../utils/timezone.js';
+
+// Local hour at which the daily calendar digest goes out
+const CALENDAR_DIGEST_HOUR = 8;
+// Local hour at which the weekly digest goes out on the user's chosen day
+const WEEKLY_DIGEST_HOUR = 9;
 
 class NotificationService {
   constructor(io) {
@@ -16,21 +32,41 @@ class NotificationService {
       this.checkStudyReminders();
     });
 
-    // Check for calendar notifications daily at 8 AM
-    cron.schedule('0 8 * * *', () => {
+    // Check for calendar notifications every hour; each user gets theirs
+    // at 8 AM in their own timezone
+    cron.schedule('0 * * * *', () => {
       this.sendCalendarNotifications();
     });
 
+    // Weekly digests go out hourly to whoever is at 9 AM on their send day
+    cron.schedule('5 * * * *', () => {
+      this.sendWeeklyDigests();
+    });
+
+    // Check goal pace every hour
+    cron.schedule('30 * * * *', () => {
+      goalService.checkAllGoals(this.io);
+    });
+
+    // Move interval study sessions on to their next phase every minute
+    cron.schedule('* * * * *', () => {
+      studyTimerService.advanceDueSessions(this.io);
+    });
+
+    // Send calendar event reminders as they fall due
+    cron.schedule('* * * * *', () => {
+      reminderService.sendDue(this.io).catch((error) => {
+        console.error('Event reminder error:', error);
+      });
+    });
+
     console.log('Notification service initialized with cron jobs');
   }
 
   async checkStudyReminders() {
     try {
       const now = new Date();
-      const currentHour = now.getHours();
-      const currentMinute = now.getMinutes();
-      const currentTime = `${currentHour.toString().padStart(2, '0')}:${currentMinute.toString().padStart(2, '0')}`;
-      
+
       // Get users who should receive reminders
       const users = await User.find({
         'preferences.studyReminders': true,
@@ -46,15 +82,19 @@ class NotificationService {
         const preferredStart = user.preferences.preferredStudyHours.start;
         const preferredEnd = user.preferences.preferredStudyHours.end;
 
+        // Compare against the user's local wall clock
+        const timezone = resolveTimezone(user);
+        const { hour, minute } = getZonedParts(now, timezone);
+        const currentTime = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+
         // Check if current time is within preferred study hours
         if (this.isWithinStudyHours(currentTime, preferredStart, preferredEnd)) {
           // Check if user has studied today
-          const today = new Date();
-          today.setHours(0, 0, 0, 0);
-          
+          const { start: today } = dayRange(now, timezone);
+
           const todaySession = await StudySession.findOne({
             userId: user._id,
-            createdAt: { $gte: today }
+            startTime: { $gte: today }
           });
 
           if (!todaySession) {
@@ -70,9 +110,7 @@ class NotificationService {
 
   async sendCalendarNotifications() {
     try {
-      const today = new Date();
-      const tomorrow = new Date(today);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      const now = new Date();
 
       // Get all users with notifications enabled
       const users = await User.find({
@@ -81,14 +119,17 @@ class NotificationService {
       });
 
       for (const user of users) {
+        const timezone = resolveTimezone(user);
+        if (getZonedParts(now, timezone).hour !== CALENDAR_DIGEST_HOUR) continue;
+
+        const todayKey = toDayKey(now, timezone);
+
         // Get upcoming events for today and tomorrow
-        const upcomingEvents = await CalendarEvent.find({
-          userId: user._id,
-          date: {
-            $gte: today,
-            $lte: tomorrow
-          }
-        }).sort({ date: 1, startTime: 1 });
+        const upcomingEvents = await recurrenceService.findOccurrences(
+          user._id,
+          todayKey,
+          shiftDayKey(todayKey, 1)
+        );
 
         if (upcomingEvents.length > 0) {
           await this.sendCalendarNotification(user, upcomingEvents);
@@ -99,35 +140,69 @@ class NotificationService {
     }
   }
 
-  async sendCalendarNotification(user, events) {
+  async sendWeeklyDigests() {
     try {
-      const todayEvents = events.filter(event => {
-        const eventDate = new Date(event.date);
-        const today = new Date();
-        return eventDate.toDateString() === today.toDateString();
-      });
+      const now = new Date();
 
-      const tomorrowEvents = events.filter(event => {
-        const eventDate = new Date(event.date);
-        const tomorrow = new Date();
-        tomorrow.setDate(tomorrow.getDate() + 1);
-        return eventDate.toDateString() === tomorrow.toDateString();
+      const users = await User.find({
+        'preferences.weeklyDigest.enabled': true,
+        'preferences.emailNotifications': true,
+        emailVerified: true
       });
 
-      // Send web push notification
-      if ('Notification' in window && Notification.permission === 'granted') {
-        const notificationText = todayEvents.length > 0 
-          ? `You have ${todayEvents.length} event(s) today`
-          : `You have ${tomorrowEvents.length} event(s) tomorrow`;
-
-        this.io.to(`user:${user._id}`).emit('notification', {
-          type: 'calendar_reminder',
-          title: '📅 Upcoming Events',
-          message: notificationText,
-          timestamp: new Date(),
-          events: events.slice(0, 3) // Send first 3 events
-        });
+      for (const user of users) {
+        const timezone = resolveTimezone(user);
+        const { hour, weekday } = getZonedParts(now, timezone);
+        if (weekday !== user.preferences.weeklyDigest.day || hour !== WEEKLY_DIGEST_HOUR) continue;
+
+        // At most one digest per local day, even across restarts
+        const todayKey = toDayKey(now, timezone);
+        if (user.lastWeeklyDigestSent && toDayKey(user.lastWeeklyDigestSent, timezone) === todayKey) {
+          continue;
+        }
+
+        await this.sendWeeklyDigest(user, now);
       }
+    } catch (error) {
+      console.error('Error sending weekly digests:', error);
+    }
+  }
+
+  async sendWeeklyDigest(user, now = new Date()) {
+    try {
+      const digest = await digestService.buildWeeklyDigest(user, now);
+      await emailService.sendWeeklyDigest(user, digest);
+
+      await User.findByIdAndUpdate(user._id, {
+        lastWeeklyDigestSent: now
+      });
+    } catch (error) {
+      console.error(`Failed to send weekly digest to ${user.email}:`, error);
+    }
+  }
+
+  async sendCalendarNotification(user, events) {
+    try {
+      const todayKey = toDayKey(new Date(), resolveTimezone(user));
+      const tomorrowKey = shiftDayKey(todayKey, 1);
+
+      // Event dates are stored as UTC midnight of their day
+      const eventDayKey = (event) => new Date(event.date).toISOString().split('T')[0];
+      const todayEvents = events.filter(event => eventDayKey(event) === todayKey);
+      const tomorrowEvents = events.filter(event => eventDayKey(event) === tomorrowKey);
+
+      // Send real-time notification if user is online
+      const notificationText = todayEvents.length > 0
+        ? `You have ${todayEvents.length} event(s) today`
+        : `You have ${tomorrowEvents.length} event(s) tomorrow`;
+
+      this.io.to(`user:${user._id}`).emit('notification', {
+        type: 'calendar_reminder',
+        title: '📅 Upcoming Events',
+        message: notificationText,
+        timestamp: new Date(),
+        events: events.slice(0, 3) // Send first 3 events
+      });
 
       // Send email notification
       if (user.preferences.emailNotifications) {
@@ -0,0 +1,265 @@
+import CalendarEvent from "../models/CalendarEvent.js";
+import { shiftDayKey, eventDayRange } from "../utils/timezone.js";
+
+export const BY_DAY = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+// Fields an occurrence can change on its own
+export const EXCEPTION_FIELDS = [
+  "title",
+  "description",
+  "date",
+  "startTime",
+  "endTime",
+  "type",
+  "subject",
+  "subjectId",
+  "priority",
+];
+
+// Longest range GET /events expands in one request
+export const MAX_EXPAND_DAYS = 366;
+
+const MAX_INTERVAL = 99;
+const MAX_COUNT = 1000;
+
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Event dates are UTC midnight of their day
+export const eventDayKey = (date) => new Date(date).toISOString().split("T")[0];
+
+const weekdayIndex = (dayKey) =>
+  (new Date(`${dayKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+
+// Expands recurring calendar events into their occurrences
+class RecurrenceService {
+  // Validate a client rule for a series starting on startKey.
+  // Returns { recurrence } (null for a one-off event) or { error }.
+  parse(input, startKey) {
+    if (input === undefined || input === null || input === false) {
+      return { recurrence: null };
+    }
+    if (typeof input !== "object") {
+      return { error: "Recurrence must be an object" };
+    }
+
+    const freq = String(input.freq || "").toLowerCase();
+    if (!["daily", "weekly", "monthly"].includes(freq)) {
+      return { error: "Recurrence freq must be daily, weekly or monthly" };
+    }
+
+    const interval = input.interval === undefined ? 1 : Number(input.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+      return { error: `Interval must be a whole number from 1 to ${MAX_INTERVAL}` };
+    }
+
+    let byDay = [];
+    if (freq === "weekly") {
+      const days = [input.byDay || []].flat().map((d) => String(d).toUpperCase());
+      if (days.some((d) => !BY_DAY.includes(d))) {
+        return { error: `byDay must only contain ${BY_DAY.join(", ")}` };
+      }
+      byDay = days.length
+        ? BY_DAY.filter((d) => days.includes(d))
+        : [BY_DAY[weekdayIndex(startKey)]];
+    }
+
+    if (input.until && input.count) {
+      return { error: "Use either until or count, not both" };
+    }
+
+    let until;
+    if (input.until) {
+      const untilDate = new Date(input.until);
+      if (Number.isNaN(untilDate.getTime())) {
+        return { error: "Until must be a valid date" };
+      }
+      const untilKey = DAY_KEY_PATTERN.test(input.until)
+        ? input.until
+        : eventDayKey(untilDate);
+      if (untilKey < startKey) {
+        return { error: "Until must not be before the event date" };
+      }
+      until = new Date(`${untilKey}T00:00:00Z`);
+    }
+
+    let count;
+    if (input.count) {
+      count = Number(input.count);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+        return { error: `Count must be a whole number from 1 to ${MAX_COUNT}` };
+      }
+    }
+
+    return { recurrence: { freq, interval, byDay, until, count } };
+  }
+
+  // Weekly byDay moved along with a series' start, e.g. MO,WE -> TU,TH when
+  // the start moves from a Monday to a Tuesday
+  shiftByDay(byDay, fromKey, toKey) {
+    const shift = (weekdayIndex(toKey) - weekdayIndex(fromKey) + 7) % 7;
+    return BY_DAY.filter((_, index) =>
+      byDay.includes(BY_DAY[(index - shift + 7) % 7])
+    );
+  }
+
+  // Day keys of a series' original occurrences, in order, up to lastKey
+  *keys(event, lastKey) {
+    const startKey = eventDayKey(event.date);
+    const { freq, interval = 1, byDay = [], until, count } = event.recurrence;
+    const untilKey = until ? eventDayKey(until) : null;
+    const limit = untilKey && untilKey < lastKey ? untilKey : lastKey;
+    let emitted = 0;
+
+    if (freq === "daily") {
+      for (let key = startKey; key <= limit; key = shiftDayKey(key, interval)) {
+        yield key;
+        if (count && ++emitted >= count) return;
+      }
+      return;
+    }
+
+    if (freq === "weekly") {
+      const days = (byDay.length ? byDay : [BY_DAY[weekdayIndex(startKey)]])
+        .map((d) => BY_DAY.indexOf(d))
+        .sort((a, b) => a - b);
+      const firstWeek = shiftDayKey(startKey, -weekdayIndex(startKey));
+
+      for (let week = firstWeek; week <= limit; week = shiftDayKey(week, 7 * interval)) {
+        for (const day of days) {
+          const key = shiftDayKey(week, day);
+          if (key < startKey) continue;
+          if (key > limit) return;
+          yield key;
+          if (count && ++emitted >= count) return;
+        }
+      }
+      return;
+    }
+
+    // Monthly on the start's day of the month; months without it are skipped
+    const [year, month, day] = startKey.split("-").map(Number);
+    for (let step = 0; ; step += interval) {
+      const first = new Date(Date.UTC(year, month - 1 + step, 1));
+      if (eventDayKey(first) > limit) return;
+
+      const date = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), day));
+      if (date.getUTCMonth() !== first.getUTCMonth()) continue;
+
+      const key = eventDayKey(date);
+      if (key > limit) return;
+      yield key;
+      if (count && ++emitted >= count) return;
+    }
+  }
+
+  isOccurrence(event, dayKey) {
+    if (!event.recurrence) return eventDayKey(event.date) === dayKey;
+    for (const key of this.keys(event, dayKey)) {
+      if (key === dayKey) return true;
+    }
+    return false;
+  }
+
+  // Original occurrences of a series before a day
+  countBefore(event, dayKey) {
+    let count = 0;
+    for (const key of this.keys(event, shiftDayKey(dayKey, -1))) count += 1;
+    return count;
+  }
+
+  // A series as it happens on one original day: exception fields applied,
+  // plus occurrenceDate, the original day that identifies it for edits.
+  // `exception` is that day's exception, if any.
+  buildOccurrence(series, key, exception) {
+    const changes = {};
+    EXCEPTION_FIELDS.forEach((field) => {
+      if (exception?.[field] !== undefined && exception[field] !== null) {
+        changes[field] = exception[field];
+      }
+    });
+
+    return {
+      ...series,
+      date: new Date(`${key}T00:00:00Z`),
+      ...changes,
+      // Only this occurrence's attendance
+      ...(series.attendance && {
+        attendance: series.attendance.filter((a) => a.occurrenceDate === key),
+      }),
+      occurrenceDate: key,
+      occurrenceId: `${series._id}:${key}`,
+      isException: !!exception,
+    };
+  }
+
+  // The occurrence of an event on an original day, or null when the day is
+  // not one of its occurrences or was cancelled. One-off events are
+  // returned as they are.
+  occurrenceOf(event, dayKey) {
+    const { exceptions = [], ...series } = event.toObject ? event.toObject() : event;
+    if (!series.recurrence) {
+      return eventDayKey(series.date) === dayKey ? series : null;
+    }
+    if (!this.isOccurrence(series, dayKey)) return null;
+
+    const exception = exceptions.find((ex) => ex.originalDate === dayKey);
+    return exception?.cancelled ? null : this.buildOccurrence(series, dayKey, exception);
+  }
+
+  // Occurrences whose (possibly edited) date falls between two day keys.
+  // Each is the series with its own date plus occurrenceDate.
+  expand(event, startKey, endKey) {
+    const { exceptions = [], ...series } = event.toObject ? event.toObject() : event;
+    const byDate = new Map(exceptions.map((ex) => [ex.originalDate, ex]));
+
+    // Edited occurrences may have moved into the range from after it
+    const lastKey = exceptions.reduce(
+      (last, ex) => (ex.date && ex.originalDate > last ? ex.originalDate : last),
+      endKey
+    );
+
+    const occurrences = [];
+    for (const key of this.keys(series, lastKey)) {
+      const exception = byDate.get(key);
+      if (exception?.cancelled) continue;
+
+      const occurrence = this.buildOccurrence(series, key, exception);
+      const dayKey = eventDayKey(occurrence.date);
+      if (dayKey >= startKey && dayKey <= endKey) occurrences.push(occurrence);
+    }
+    return occurrences;
+  }
+
+  // One-off events and expanded occurrences between two day keys, ordered
+  // by date and start time. `filter` narrows the events queried.
+  async findOccurrences(userId, startKey, endKey, filter = {}) {
+    const start = eventDayRange(startKey).start;
+    const end = eventDayRange(endKey).end;
+
+    const [single, series] = await Promise.all([
+      CalendarEvent.find({
+        userId,
+        ...filter,
+        recurrence: null,
+        date: { $gte: start, $lt: end },
+      }).lean(),
+      CalendarEvent.find({
+        userId,
+        ...filter,
+        recurrence: { $ne: null },
+        date: { $lt: end },
+        $or: [{ "recurrence.until": null }, { "recurrence.until": { $gte: start } }],
+      }).lean(),
+    ]);
+
+    return [
+      ...single,
+      ...series.flatMap((event) => this.expand(event, startKey, endKey)),
+    ].sort(
+      (a, b) =>
+        a.date - b.date || (a.startTime || "").localeCompare(b.startTime || "")
+    );
+  }
+}
+
+export default new RecurrenceService();
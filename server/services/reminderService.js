@@ -0,0 +1,197 @@
+import CalendarEvent from "../models/CalendarEvent.js";
+import ReminderDelivery from "../models/ReminderDelivery.js";
+import User from "../models/User.js";
+import emailService from "./emailService.js";
+import recurrenceService, { eventDayKey } from "./recurrenceService.js";
+import { parseTime, formatTime } from "../utils/schedule.js";
+import { resolveTimezone, shiftDayKey, zonedTime } from "../utils/timezone.js";
+
+export const MAX_REMINDERS = 5;
+// Reminders can go out up to a week ahead
+export const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+// Reminders missed while the server was down still go out this late
+const CATCH_UP_MINUTES = 60;
+
+const DUPLICATE_KEY = 11000;
+
+// "in 15 minutes", "in 2 hours", "in 1 day"
+const describeLead = (minutes) => {
+  if (minutes === 0) return "now";
+  const [value, unit] =
+    minutes % 1440 === 0
+      ? [minutes / 1440, "day"]
+      : minutes % 60 === 0
+        ? [minutes / 60, "hour"]
+        : [minutes, "minute"];
+  return `in ${value} ${unit}${value === 1 ? "" : "s"}`;
+};
+
+// All-day events start at midnight, so a lead under a day still goes out
+// the evening before
+const allDayLead = (minutes) => {
+  if (minutes === 0) return "today";
+  if (minutes < 1440) return "tomorrow";
+  return describeLead(minutes);
+};
+
+// Per-event reminders, sent when they fall due
+class ReminderService {
+  // Read reminders from a request. `reminders` is a list of minutes or
+  // { time, email }; the older `reminder: { enabled, time }` still works.
+  // Returns { reminders } (undefined when neither was sent) or { error }.
+  parse({ reminders, reminder } = {}) {
+    if (reminders === undefined) {
+      if (reminder === undefined) return { reminders: undefined };
+      return this.parse({
+        reminders: reminder?.enabled ? [{ time: reminder.time ?? 15 }] : [],
+      });
+    }
+    if (!Array.isArray(reminders)) {
+      return { error: "Reminders must be a list" };
+    }
+    if (reminders.length > MAX_REMINDERS) {
+      return { error: `At most ${MAX_REMINDERS} reminders per event` };
+    }
+
+    const parsed = new Map();
+    for (const entry of reminders) {
+      const time = Number(typeof entry === "object" ? entry?.time : entry);
+      if (!Number.isInteger(time) || time < 0 || time > MAX_REMINDER_MINUTES) {
+        return {
+          error: `Reminder times must be whole minutes from 0 to ${MAX_REMINDER_MINUTES}`,
+        };
+      }
+      // The same lead time twice would only send twice
+      parsed.set(time, { time, email: !!entry?.email });
+    }
+
+    return {
+      reminders: Array.from(parsed.values()).sort((a, b) => b.time - a.time),
+    };
+  }
+
+  // Fields to store for parsed reminders, keeping `reminder` in step
+  toFields(reminders) {
+    return {
+      reminders,
+      reminder: {
+        enabled: reminders.length > 0,
+        time: reminders[reminders.length - 1]?.time ?? 15,
+      },
+    };
+  }
+
+  // Reminders of an event, including the single reminder of older events
+  remindersOf(event) {
+    if (event.reminders?.length) return event.reminders;
+    return event.reminder?.enabled ? [{ time: event.reminder.time ?? 15, email: false }] : [];
+  }
+
+  // When an occurrence starts; all-day events start at midnight
+  startOf(occurrence, timezone) {
+    const start = parseTime(occurrence.startTime);
+    const dayKey = eventDayKey(occurrence.date);
+    return zonedTime(dayKey, start === null ? "00:00" : formatTime(start), timezone);
+  }
+
+  // Send every reminder due since the last catch-up window. Each one is
+  // claimed in ReminderDelivery first, so it goes out at most once.
+  async sendDue(io, now = new Date()) {
+    const todayKey = eventDayKey(now);
+    // Wide enough for any timezone and the longest lead time
+    const startKey = shiftDayKey(todayKey, -2);
+    const endKey = shiftDayKey(todayKey, Math.ceil(MAX_REMINDER_MINUTES / 1440) + 2);
+
+    // `reminder` is kept in step with `reminders`, so this also matches
+    // the partial date index
+    const withReminders = { "reminder.enabled": true };
+    const [single, series] = await Promise.all([
+      CalendarEvent.find({
+        ...withReminders,
+        recurrence: null,
+        date: {
+          $gte: new Date(`${startKey}T00:00:00Z`),
+          $lt: new Date(`${shiftDayKey(endKey, 1)}T00:00:00Z`),
+        },
+      }).lean(),
+      CalendarEvent.find({
+        ...withReminders,
+        recurrence: { $ne: null },
+        date: { $lt: new Date(`${shiftDayKey(endKey, 1)}T00:00:00Z`) },
+        $or: [
+          { "recurrence.until": null },
+          { "recurrence.until": { $gte: new Date(`${startKey}T00:00:00Z`) } },
+        ],
+      }).lean(),
+    ]);
+
+    const occurrences = [
+      ...single,
+      ...series.flatMap((event) => recurrenceService.expand(event, startKey, endKey)),
+    ];
+    if (occurrences.length === 0) return;
+
+    const users = new Map(
+      (
+        await User.find({
+          _id: { $in: [...new Set(occurrences.map((o) => String(o.userId)))] },
+        })
+      ).map((user) => [String(user._id), user])
+    );
+
+    for (const occurrence of occurrences) {
+      const user = users.get(String(occurrence.userId));
+      if (!user) continue;
+
+      const start = this.startOf(occurrence, resolveTimezone(user));
+      for (const reminder of this.remindersOf(occurrence)) {
+        const fireAt = new Date(start.getTime() - reminder.time * 60000);
+        if (fireAt > now || now - fireAt > CATCH_UP_MINUTES * 60000) continue;
+
+        try {
+          await this.deliver(io, user, occurrence, reminder, fireAt);
+        } catch (error) {
+          console.error(`Failed to send event reminder to ${user.email}:`, error);
+        }
+      }
+    }
+  }
+
+  async deliver(io, user, occurrence, reminder, fireAt) {
+    const sendEmail =
+      reminder.email && user.emailVerified && user.preferences?.emailNotifications;
+
+    try {
+      await ReminderDelivery.create({
+        userId: user._id,
+        eventId: occurrence._id,
+        occurrenceDate: occurrence.occurrenceDate || eventDayKey(occurrence.date),
+        time: reminder.time,
+        fireAt,
+        email: !!sendEmail,
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) return; // already sent
+      throw error;
+    }
+
+    const when = occurrence.startTime
+      ? `Starts ${describeLead(reminder.time)} at ${occurrence.startTime}`
+      : `Is ${allDayLead(reminder.time)}`;
+
+    io?.to(`user:${user._id}`).emit("notification", {
+      type: "event_reminder",
+      title: `⏰ ${occurrence.title}`,
+      message: when,
+      timestamp: new Date(),
+      eventId: occurrence._id,
+      occurrenceDate: occurrence.occurrenceDate || null,
+    });
+
+    if (sendEmail) {
+      await emailService.sendEventReminder(user, occurrence, when);
+    }
+  }
+}
+
+export default new ReminderService();
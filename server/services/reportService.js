@@ -0,0 +1,432 @@
+import Note from "../models/Note.js";
+import goalService from "./goalService.js";
+import rollupService from "./rollupService.js";
+import statsService from "./statsService.js";
+import adherenceService from "./adherenceService.js";
+import { PdfDocument } from "../utils/pdf.js";
+import { formatDuration } from "../utils/format.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+} from "../utils/timezone.js";
+
+const TOP_NOTES = 5;
+const NOTE_EXCERPT = 240;
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ]
+  );
+
+const formatDay = (dayKey) =>
+  new Date(`${dayKey}T00:00:00Z`).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  });
+
+const GOAL_STATUS = {
+  met: "Met",
+  on_track: "On track",
+  behind: "Behind",
+  missed: "Missed",
+  upcoming: "Not started",
+};
+
+class ReportService {
+  // Timetable adherence for the elapsed part of the period, per subject
+  async buildAdherence(user, startKey, endKey) {
+    const adherence = await adherenceService.getAdherence(user, {
+      startKey,
+      endKey,
+    });
+    if (!adherence) return null;
+
+    const subjects = new Map();
+    adherence.days
+      .flatMap((day) => day.slots)
+      .forEach((slot) => {
+        const entry = subjects.get(slot.subject) || [];
+        entry.push(slot);
+        subjects.set(slot.subject, entry);
+      });
+
+    return {
+      timetable: adherence.timetable.name,
+      percent: adherence.summary.percent,
+      counts: adherence.summary.counts,
+      subjects: Array.from(subjects.entries())
+        .map(([name, slots]) => {
+          const { plannedMinutes, studiedMinutes, percent } =
+            adherenceService.summarize(slots);
+          return {
+            name,
+            plannedMinutes,
+            studiedMinutes,
+            percent: percent ?? 100,
+          };
+        })
+        .filter((s) => s.plannedMinutes > 0)
+        .sort((a, b) => b.plannedMinutes - a.plannedMinutes),
+    };
+  }
+
+  // Weekly (Monday to Sunday) or monthly summary around `date`
+  async buildReport(user, { period = "week", date = new Date() } = {}) {
+    const timezone = resolveTimezone(user);
+    const now = new Date();
+
+    const { periodKey, start, end } = goalService.periodWindow(
+      { period: period === "month" ? "monthly" : "weekly" },
+      timezone,
+      date
+    );
+    const startKey = toDayKey(start, timezone);
+    const endKey = toDayKey(new Date(end.getTime() - 1), timezone);
+    const todayKey = toDayKey(now, timezone);
+
+    const days = await rollupService.getRange(user._id, { startKey, endKey });
+
+    const totalTime = days.reduce((sum, day) => sum + day.totalTime, 0);
+    const sessions = days.reduce((sum, day) => sum + day.sessions, 0);
+    const completedSessions = days.reduce(
+      (sum, day) => sum + day.completedSessions,
+      0
+    );
+
+    const [bucket] = rollupService.bucketize(days, "month");
+    const subjects = (bucket?.subjects || []).map((subject) => ({
+      ...subject,
+      share: totalTime ? Math.round((subject.time / totalTime) * 100) : 0,
+    }));
+
+    // Every day of the period, including empty ones, for the daily chart
+    const dailyTotals = [];
+    for (let key = startKey; key <= endKey; key = shiftDayKey(key, 1)) {
+      const day = days.find((d) => d.date === key);
+      dailyTotals.push({ date: key, totalTime: day?.totalTime || 0 });
+    }
+
+    // Goals as they stood at the end of the period (or now, if it's ongoing)
+    const goalsAt = end < now ? new Date(end.getTime() - 1) : now;
+    const goals = (await goalService.getGoalsWithProgress(user, goalsAt)).map(
+      (goal) => ({
+        title: goalService.describe(goal),
+        period: goal.period,
+        ...goal.progress,
+      })
+    );
+
+    const stats = await statsService.getStats(user._id);
+
+    const adherence =
+      startKey <= todayKey
+        ? await this.buildAdherence(
+            user,
+            startKey,
+            endKey < todayKey ? endKey : todayKey
+          )
+        : null;
+
+    const notes = await Note.find({
+      userId: user._id,
+      updatedAt: { $gte: start, $lt: end },
+    })
+      .sort({ isPinned: -1, updatedAt: -1 })
+      .limit(TOP_NOTES)
+      .lean();
+
+    return {
+      period,
+      periodKey,
+      startKey,
+      endKey,
+      timezone,
+      generatedAt: now,
+      user: { name: user.name, email: user.email },
+      totals: {
+        totalTime,
+        sessions,
+        completedSessions,
+        daysActive: days.length,
+        averageSessionTime: sessions ? Math.round(totalTime / sessions) : 0,
+      },
+      subjects,
+      days: dailyTotals,
+      goals,
+      streak: {
+        currentStreak: stats?.currentStreak || 0,
+        highestStreak: stats?.highestStreak || 0,
+      },
+      adherence,
+      notes: notes.map((note) => ({
+        title: note.title,
+        subject: note.subject || null,
+        isPinned: note.isPinned,
+        excerpt:
+          note.body.length > NOTE_EXCERPT
+            ? `${note.body.slice(0, NOTE_EXCERPT).trim()}…`
+            : note.body,
+        updatedAt: note.updatedAt,
+      })),
+    };
+  }
+
+  title(report) {
+    return `${report.period === "month" ? "Monthly" : "Weekly"} study report`;
+  }
+
+  range(report) {
+    return `${formatDay(report.startKey)} – ${formatDay(report.endKey)}`;
+  }
+
+  // Self-contained printable page: inline styles, no scripts or assets
+  renderHtml(report) {
+    const { totals, subjects, days, goals, streak, adherence, notes } = report;
+    const maxDay = Math.max(...days.map((d) => d.totalTime), 1);
+
+    const bar = (percent, color = "#8B5CF6") =>
+      `<div class="bar"><div style="width:${Math.max(0, Math.min(100, percent))}%;background:${color}"></div></div>`;
+
+    const section = (title, body) =>
+      `<section><h2>${escapeHtml(title)}</h2>${body}</section>`;
+
+    const empty = (text) => `<p class="muted">${escapeHtml(text)}</p>`;
+
+    const subjectRows = subjects
+      .map(
+        (s) => `<tr><td>${escapeHtml(s.name)}</td><td>${formatDuration(s.time)}</td>` +
+          `<td>${s.sessions}</td><td class="wide">${bar(s.share)}</td><td>${s.share}%</td></tr>`
+      )
+      .join("");
+
+    const dayColumns = days
+      .map(
+        (d) => `<div class="day" title="${escapeHtml(formatDay(d.date))}: ${formatDuration(d.totalTime)}">` +
+          `<div class="fill" style="height:${Math.round((d.totalTime / maxDay) * 100)}%"></div>` +
+          `<span>${report.period === "month" ? d.date.slice(8) : formatDay(d.date).slice(0, 3)}</span></div>`
+      )
+      .join("");
+
+    const goalRows = goals
+      .map(
+        (g) => `<tr><td>${escapeHtml(g.title)}</td><td>${g.minutes} / ${g.targetMinutes} min</td>` +
+          `<td class="wide">${bar(g.percent, g.status === "behind" || g.status === "missed" ? "#F59E0B" : "#10B981")}</td>` +
+          `<td>${GOAL_STATUS[g.status] || g.status}</td></tr>`
+      )
+      .join("");
+
+    const adherenceRows = (adherence?.subjects || [])
+      .map(
+        (s) => `<tr><td>${escapeHtml(s.name)}</td><td>${s.studiedMinutes} / ${s.plannedMinutes} min</td>` +
+          `<td class="wide">${bar(s.percent, "#3B82F6")}</td><td>${s.percent}%</td></tr>`
+      )
+      .join("");
+
+    const noteItems = notes
+      .map(
+        (n) => `<li><strong>${n.isPinned ? "📌 " : ""}${escapeHtml(n.title)}</strong>` +
+          `${n.subject ? ` <span class="muted">· ${escapeHtml(n.subject)}</span>` : ""}` +
+          `<p>${escapeHtml(n.excerpt)}</p></li>`
+      )
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(this.title(report))} · ${escapeHtml(this.range(report))}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Arial, sans-serif; color: #111827; max-width: 820px; margin: 32px auto; padding: 0 24px; }
+  header { background: linear-gradient(135deg, #8B5CF6 0%, #3B82F6 100%); color: white; padding: 24px; border-radius: 10px; }
+  header h1 { margin: 0 0 4px; font-size: 24px; }
+  header p { margin: 0; opacity: 0.9; }
+  .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin: 20px 0; }
+  .card { background: #F3F4F6; border-radius: 8px; padding: 12px; }
+  .card b { display: block; font-size: 20px; }
+  .card span, .muted { color: #6B7280; font-size: 13px; }
+  section { margin-top: 28px; page-break-inside: avoid; }
+  h2 { font-size: 17px; border-bottom: 2px solid #EDE9FE; padding-bottom: 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  td { padding: 6px 8px 6px 0; white-space: nowrap; }
+  td.wide { width: 45%; }
+  .bar { background: #E5E7EB; border-radius: 4px; height: 10px; overflow: hidden; }
+  .bar div { height: 100%; }
+  .chart { display: flex; align-items: flex-end; gap: 3px; height: 140px; }
+  .day { flex: 1; height: 100%; display: flex; flex-direction: column; justify-content: flex-end; align-items: center; }
+  .day .fill { width: 100%; background: #8B5CF6; border-radius: 3px 3px 0 0; min-height: 1px; }
+  .day span { font-size: 10px; color: #6B7280; margin-top: 4px; }
+  ul { padding-left: 18px; } li p { margin: 4px 0 12px; color: #374151; font-size: 14px; white-space: pre-wrap; }
+  footer { margin-top: 32px; color: #9CA3AF; font-size: 12px; }
+  @media print { body { margin: 0; } header { -webkit-print-color-adjust: exact; print-color-adjust: exact; } .bar div, .fill { -webkit-print-color-adjust: exact; print-color-adjust: exact; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(this.title(report))}</h1>
+  <p>${escapeHtml(report.user.name)} · ${escapeHtml(this.range(report))}</p>
+</header>
+<div class="cards">
+  <div class="card"><b>${formatDuration(totals.totalTime)}</b><span>Total study time</span></div>
+  <div class="card"><b>${totals.sessions}</b><span>Sessions (${totals.completedSessions} completed)</span></div>
+  <div class="card"><b>${totals.daysActive}</b><span>Active days</span></div>
+  <div class="card"><b>${streak.currentStreak} 🔥</b><span>Current streak (best ${streak.highestStreak})</span></div>
+</div>
+${section("Daily study time", `<div class="chart">${dayColumns}</div>`)}
+${section("Hours by subject", subjects.length ? `<table>${subjectRows}</table>` : empty("No study sessions in this period."))}
+${section("Goal progress", goals.length ? `<table>${goalRows}</table>` : empty("No active goals."))}
+${section(
+  "Timetable adherence",
+  adherence
+    ? `<p>${escapeHtml(adherence.timetable)}${adherence.percent !== null ? ` · <b>${adherence.percent}%</b> of planned time studied` : ""}</p>` +
+        `<p class="muted">${["done", "late", "partial", "missed"].map((status) => `${adherence.counts[status]} ${status}`).join(" · ")} slots</p>` +
+        (adherenceRows ? `<table>${adherenceRows}</table>` : empty("Nothing was scheduled in this period."))
+    : empty("No active timetable.")
+)}
+${section("Top notes", notes.length ? `<ul>${noteItems}</ul>` : empty("No notes written in this period."))}
+<footer>Generated ${escapeHtml(new Date(report.generatedAt).toISOString().slice(0, 16).replace("T", " "))} UTC · times in ${escapeHtml(report.timezone)}</footer>
+</body>
+</html>`;
+  }
+
+  renderPdf(report) {
+    const { totals, subjects, days, goals, streak, adherence, notes } = report;
+    const pdf = new PdfDocument();
+    const margin = 48;
+    const contentWidth = pdf.width - margin * 2;
+    let y = margin;
+
+    // Start a new page when the next block would not fit
+    const ensure = (height) => {
+      if (y + height > pdf.height - margin) {
+        pdf.addPage();
+        y = margin;
+      }
+    };
+
+    const heading = (text) => {
+      ensure(40);
+      y += 14;
+      pdf.text(text, margin, y, { size: 14, bold: true, color: "#5B21B6" });
+      y += 20;
+      pdf.rect(margin, y - 4, contentWidth, 1, "#EDE9FE");
+      y += 4;
+    };
+
+    const line = (text, options = {}) => {
+      const size = options.size || 10;
+      pdf.wrap(text, contentWidth, size, options.bold).forEach((part) => {
+        ensure(size + 5);
+        pdf.text(part, margin, y, { size, ...options });
+        y += size + 5;
+      });
+    };
+
+    // Label, bar and value on one row
+    const barRow = (label, percent, value, color = "#8B5CF6") => {
+      ensure(18);
+      pdf.text(label.length > 28 ? `${label.slice(0, 27)}...` : label, margin, y, { size: 10 });
+      pdf.rect(margin + 170, y + 1, 220, 9, "#E5E7EB");
+      pdf.rect(margin + 170, y + 1, 2.2 * Math.max(0, Math.min(100, percent)), 9, color);
+      pdf.text(value, margin + 400, y, { size: 10, color: "#374151" });
+      y += 18;
+    };
+
+    pdf.rect(0, 0, pdf.width, 90, "#7C3AED");
+    pdf.text(this.title(report), margin, 26, { size: 20, bold: true, color: "#FFFFFF" });
+    pdf.text(`${report.user.name} - ${this.range(report)}`, margin, 54, {
+      size: 11,
+      color: "#EDE9FE",
+    });
+    y = 110;
+
+    const cards = [
+      [formatDuration(totals.totalTime), "Total study time"],
+      [`${totals.sessions}`, `Sessions (${totals.completedSessions} completed)`],
+      [`${totals.daysActive}`, "Active days"],
+      [`${streak.currentStreak}`, `Day streak (best ${streak.highestStreak})`],
+    ];
+    const cardWidth = (contentWidth - 24) / 4;
+    cards.forEach(([value, label], i) => {
+      const x = margin + i * (cardWidth + 8);
+      pdf.rect(x, y, cardWidth, 48, "#F3F4F6");
+      pdf.text(value, x + 8, y + 8, { size: 15, bold: true });
+      pdf.text(label, x + 8, y + 30, { size: 8, color: "#6B7280" });
+    });
+    y += 60;
+
+    heading("Daily study time");
+    ensure(110);
+    const maxDay = Math.max(...days.map((d) => d.totalTime), 1);
+    const slot = contentWidth / days.length;
+    days.forEach((day, i) => {
+      const height = Math.max(1, (day.totalTime / maxDay) * 80);
+      pdf.rect(margin + i * slot + 1, y + 80 - height, Math.max(1, slot - 2), height, "#8B5CF6");
+      const label = report.period === "month" ? day.date.slice(8) : formatDay(day.date).slice(0, 3);
+      if (report.period !== "month" || i % 3 === 0) {
+        pdf.text(label, margin + i * slot, y + 84, { size: 7, color: "#6B7280" });
+      }
+    });
+    y += 100;
+
+    heading("Hours by subject");
+    if (subjects.length === 0) line("No study sessions in this period.", { color: "#6B7280" });
+    subjects.forEach((s) =>
+      barRow(s.name, s.share, `${formatDuration(s.time)} (${s.share}%)`)
+    );
+
+    heading("Goal progress");
+    if (goals.length === 0) line("No active goals.", { color: "#6B7280" });
+    goals.forEach((g) =>
+      barRow(
+        g.title,
+        g.percent,
+        `${g.minutes}/${g.targetMinutes} min - ${GOAL_STATUS[g.status] || g.status}`,
+        g.status === "behind" || g.status === "missed" ? "#F59E0B" : "#10B981"
+      )
+    );
+
+    heading("Timetable adherence");
+    if (!adherence) {
+      line("No active timetable.", { color: "#6B7280" });
+    } else {
+      line(
+        `${adherence.timetable}${adherence.percent !== null ? ` - ${adherence.percent}% of planned time studied` : ""}`
+      );
+      y += 4;
+      if (adherence.subjects.length === 0) {
+        line("Nothing was scheduled in this period.", { color: "#6B7280" });
+      }
+      adherence.subjects.forEach((s) =>
+        barRow(s.name, s.percent, `${s.studiedMinutes}/${s.plannedMinutes} min`, "#3B82F6")
+      );
+    }
+
+    heading("Top notes");
+    if (notes.length === 0) line("No notes written in this period.", { color: "#6B7280" });
+    notes.forEach((n) => {
+      line(`${n.isPinned ? "[Pinned] " : ""}${n.title}${n.subject ? ` - ${n.subject}` : ""}`, {
+        bold: true,
+      });
+      line(n.excerpt, { size: 9, color: "#374151" });
+      y += 6;
+    });
+
+    ensure(20);
+    y += 10;
+    line(
+      `Generated ${new Date(report.generatedAt).toISOString().slice(0, 16).replace("T", " ")} UTC - times in ${report.timezone}`,
+      { size: 8, color: "#9CA3AF" }
+    );
+
+    return pdf.toBuffer();
+  }
+}
+
+export default new ReportService();
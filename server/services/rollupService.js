@@ -0,0 +1,204 @@
+import mongoose from "mongoose";
+import StudySession from "../models/StudySession.js";
+import DailyRollup from "../models/DailyRollup.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keeps the DailyRollup collection in step with StudySession records.
+// Day keys (YYYY-MM-DD) are computed by the caller in the user's timezone.
+class RollupService {
+  // Sessions grouped by day and subject, for all days or the given ones
+  async aggregate(userId, timezone, dayKeys = null) {
+    const match = { userId: new mongoose.Types.ObjectId(String(userId)) };
+
+    // Narrow the scan to a window around the requested days; the exact
+    // day is decided by $dateToString below
+    if (dayKeys) {
+      const sorted = [...dayKeys].sort();
+      match.startTime = {
+        $gte: new Date(Date.parse(sorted[0]) - DAY_MS),
+        $lt: new Date(Date.parse(sorted[sorted.length - 1]) + 2 * DAY_MS),
+      };
+    }
+
+    const pipeline = [
+      { $match: match },
+      {
+        $addFields: {
+          day: {
+            $dateToString: { format: "%Y-%m-%d", date: "$startTime", timezone },
+          },
+        },
+      },
+    ];
+    if (dayKeys) pipeline.push({ $match: { day: { $in: dayKeys } } });
+    pipeline.push(
+      {
+        $group: {
+          _id: { date: "$day", subject: "$subject" },
+          time: { $sum: "$actualTime" },
+          sessions: { $sum: 1 },
+          completedSessions: { $sum: { $cond: ["$completed", 1, 0] } },
+        },
+      },
+      { $sort: { "_id.date": 1, time: -1 } }
+    );
+
+    const rows = await StudySession.aggregate(pipeline);
+
+    const days = new Map();
+    rows.forEach((row) => {
+      const date = row._id.date;
+      if (!days.has(date)) {
+        days.set(date, {
+          userId,
+          date,
+          totalTime: 0,
+          sessions: 0,
+          completedSessions: 0,
+          subjects: [],
+        });
+      }
+      const day = days.get(date);
+      day.totalTime += row.time;
+      day.sessions += row.sessions;
+      day.completedSessions += row.completedSessions;
+      day.subjects.push({
+        name: row._id.subject,
+        time: row.time,
+        sessions: row.sessions,
+        completedSessions: row.completedSessions,
+      });
+    });
+
+    return days;
+  }
+
+  // Recompute the rollups of specific days, dropping days left empty
+  async refreshDays(userId, dayKeys, timezone) {
+    if (dayKeys.length === 0) return;
+
+    const days = await this.aggregate(userId, timezone, dayKeys);
+
+    await Promise.all(
+      dayKeys.map((date) => {
+        const day = days.get(date);
+        if (!day) {
+          return DailyRollup.deleteOne({ userId, date });
+        }
+        return DailyRollup.updateOne({ userId, date }, day, { upsert: true });
+      })
+    );
+  }
+
+  // Replace all of a user's rollups
+  async rebuild(userId, timezone) {
+    const days = await this.aggregate(userId, timezone);
+
+    await DailyRollup.deleteMany({ userId });
+    if (days.size > 0) {
+      await DailyRollup.insertMany(Array.from(days.values()));
+    }
+  }
+
+  // Rollups between two day keys (inclusive), optionally for one subject
+  async getRange(userId, { startKey, endKey, subject } = {}) {
+    const query = { userId };
+    if (startKey || endKey) {
+      query.date = {};
+      if (startKey) query.date.$gte = startKey;
+      if (endKey) query.date.$lte = endKey;
+    }
+
+    const rollups = await DailyRollup.find(query).sort({ date: 1 }).lean();
+
+    const days = rollups.map(
+      ({ date, totalTime, sessions, completedSessions, subjects }) => ({
+        date,
+        totalTime,
+        sessions,
+        completedSessions,
+        subjects,
+      })
+    );
+
+    if (!subject) return days;
+
+    return days
+      .map((day) => {
+        const subjects = day.subjects.filter((s) => s.name === subject);
+        return {
+          ...day,
+          subjects,
+          totalTime: subjects.reduce((sum, s) => sum + s.time, 0),
+          sessions: subjects.reduce((sum, s) => sum + s.sessions, 0),
+          completedSessions: subjects.reduce(
+            (sum, s) => sum + s.completedSessions,
+            0
+          ),
+        };
+      })
+      .filter((day) => day.subjects.length > 0);
+  }
+
+  // Key of the week (its Monday) or month a day key falls in
+  bucketKey(dayKey, bucket) {
+    if (bucket === "month") return dayKey.slice(0, 7);
+
+    const date = new Date(`${dayKey}T00:00:00Z`);
+    const offset = (date.getUTCDay() + 6) % 7; // days since Monday
+    date.setUTCDate(date.getUTCDate() - offset);
+    return date.toISOString().split("T")[0];
+  }
+
+  // Merge daily rollups into weekly or monthly buckets
+  bucketize(days, bucket) {
+    if (bucket !== "week" && bucket !== "month") return days;
+
+    const buckets = new Map();
+    days.forEach((day) => {
+      const key = this.bucketKey(day.date, bucket);
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          period: key,
+          firstDay: day.date,
+          lastDay: day.date,
+          daysActive: 0,
+          totalTime: 0,
+          sessions: 0,
+          completedSessions: 0,
+          subjects: new Map(),
+        });
+      }
+
+      const entry = buckets.get(key);
+      entry.lastDay = day.date;
+      entry.daysActive += 1;
+      entry.totalTime += day.totalTime;
+      entry.sessions += day.sessions;
+      entry.completedSessions += day.completedSessions;
+
+      day.subjects.forEach((s) => {
+        const subject = entry.subjects.get(s.name) || {
+          name: s.name,
+          time: 0,
+          sessions: 0,
+          completedSessions: 0,
+        };
+        subject.time += s.time;
+        subject.sessions += s.sessions;
+        subject.completedSessions += s.completedSessions;
+        entry.subjects.set(s.name, subject);
+      });
+    });
+
+    return Array.from(buckets.values()).map((entry) => ({
+      ...entry,
+      subjects: Array.from(entry.subjects.values()).sort(
+        (a, b) => b.time - a.time
+      ),
+    }));
+  }
+}
+
+export default new RollupService();
@@ -0,0 +1,395 @@
+import mongoose from "mongoose";
+import StudySession from "../models/StudySession.js";
+import User from "../models/User.js";
+import rollupService from "./rollupService.js";
+import {
+  SERVER_TIMEZONE,
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  weekdayOfDayKey,
+  startOfDay,
+} from "../utils/timezone.js";
+
+// Bump when the derived data changes shape; stale users are rebuilt on read
+const STATS_VERSION = 4;
+
+// A streak earns a freeze token every this many qualifying days
+const FREEZE_EARN_EVERY = 7;
+const MAX_FREEZES = 2;
+
+// Non-zero heatmap intensity levels
+const HEATMAP_LEVELS = 4;
+
+const ALL_DAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+
+// Streak history reduced to its values, for spotting changes
+const historyKey = (history = []) =>
+  JSON.stringify(
+    history.map(({ start, end, length, frozenDays, active }) => [
+      start,
+      end,
+      length,
+      [...(frozenDays || [])],
+      !!active,
+    ])
+  );
+
+// Every figure here is derived from StudySession records, so the cached
+// copy on User.stats can always be rebuilt from scratch.
+class StatsService {
+  toObjectId(userId) {
+    return new mongoose.Types.ObjectId(String(userId));
+  }
+
+  roundHours(seconds) {
+    return Math.round((seconds / 3600) * 100) / 100;
+  }
+
+  // Streak rules from the user's preferences
+  getStreakRules(user) {
+    const rules = user.preferences?.streakRules || {};
+    const studyDays = user.preferences?.studyDays || [];
+
+    return {
+      minSeconds: (rules.minMinutesPerDay || 0) * 60,
+      // With no study days configured every day counts
+      restDays: rules.honorStudyDays && studyDays.length > 0
+        ? ALL_DAYS.filter((day) => !studyDays.includes(day))
+        : [],
+    };
+  }
+
+  // Walk day by day from the first study day to today. A day qualifies when
+  // it reaches the minimum study time; a missed day is forgiven when it is a
+  // rest day or a freeze token is spent on it. Every FREEZE_EARN_EVERY
+  // qualifying days of a streak earn a token, up to MAX_FREEZES.
+  computeStreaks(days, todayKey, { minSeconds = 0, restDays = [] } = {}) {
+    const timeByDay = new Map(days.map((day) => [day.date, day.totalTime]));
+    const qualifies = (dayKey) =>
+      timeByDay.has(dayKey) && timeByDay.get(dayKey) >= minSeconds;
+
+    const history = [];
+    let current = null;
+    let freezes = 0;
+    let lastStudyDay = null;
+
+    const firstDay = days.find((day) => qualifies(day.date))?.date;
+    for (
+      let dayKey = firstDay;
+      dayKey && dayKey <= todayKey;
+      dayKey = shiftDayKey(dayKey, 1)
+    ) {
+      if (qualifies(dayKey)) {
+        if (!current) {
+          current = { start: dayKey, end: dayKey, length: 0, frozenDays: [] };
+        }
+        current.end = dayKey;
+        current.length += 1;
+        lastStudyDay = dayKey;
+
+        if (current.length % FREEZE_EARN_EVERY === 0 && freezes < MAX_FREEZES) {
+          freezes += 1;
+        }
+        continue;
+      }
+
+      // Today is not over yet, and there is nothing to protect without a streak
+      if (!current || dayKey === todayKey) continue;
+      if (restDays.includes(weekdayOfDayKey(dayKey))) continue;
+
+      if (freezes > 0) {
+        freezes -= 1;
+        current.frozenDays.push(dayKey);
+        continue;
+      }
+
+      history.push(current);
+      current = null;
+    }
+
+    if (current) history.push({ ...current, active: true });
+
+    return {
+      currentStreak: current ? current.length : 0,
+      highestStreak: history.reduce((max, s) => Math.max(max, s.length), 0),
+      lastStudyDay,
+      streakFreezes: freezes,
+      streakHistory: history,
+    };
+  }
+
+  // Total time and session count for each subject, optionally limited
+  async aggregateSubjects(userId, subjects) {
+    const match = { userId: this.toObjectId(userId) };
+    if (subjects) match.subject = { $in: subjects };
+
+    const rows = await StudySession.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$subject",
+          time: { $sum: "$actualTime" },
+          sessions: { $sum: 1 },
+        },
+      },
+      { $sort: { time: -1 } },
+    ]);
+
+    return rows.map((row) => ({
+      name: row._id,
+      time: row.time,
+      sessions: row.sessions,
+    }));
+  }
+
+  // Needs the daily rollups to be up to date. Fields are only assigned
+  // when they changed, so an unchanged walk leaves the user unmodified.
+  async refreshStreaks(user) {
+    const timezone = resolveTimezone(user);
+    const todayKey = toDayKey(new Date(), timezone);
+    const days = await rollupService.getRange(user._id);
+    const streaks = this.computeStreaks(days, todayKey, this.getStreakRules(user));
+
+    user.stats.streaksCheckedDay = todayKey;
+    user.stats.currentStreak = streaks.currentStreak;
+    user.stats.highestStreak = streaks.highestStreak;
+    user.stats.streakFreezes = streaks.streakFreezes;
+    // Reassigning an array always marks it modified
+    if (historyKey(user.stats.streakHistory) !== historyKey(streaks.streakHistory)) {
+      user.stats.streakHistory = streaks.streakHistory;
+    }
+    user.stats.lastStudyDay = streaks.lastStudyDay;
+    user.stats.lastStudyDate = streaks.lastStudyDay
+      ? new Date(`${streaks.lastStudyDay}T00:00:00Z`)
+      : null;
+  }
+
+  setTotals(user, subjects) {
+    const totalStudyTime = subjects.reduce((sum, s) => sum + s.time, 0);
+    user.stats.totalStudyTime = totalStudyTime;
+    user.stats.totalStudyHours = this.roundHours(totalStudyTime);
+    user.stats.totalSessions = subjects.reduce((sum, s) => sum + s.sessions, 0);
+    user.stats.subjects = subjects;
+    user.stats.subjectsStudied = subjects.map((s) => s.name);
+  }
+
+  // Re-walk streaks after the rules that shape them change
+  async refreshUserStreaks(userId) {
+    const user = await User.findById(userId);
+    if (!user) return;
+    await this.refreshStreaks(user);
+    await user.save();
+  }
+
+  // Recompute every statistic for a user from their sessions
+  async rebuild(userId) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    this.setTotals(user, await this.aggregateSubjects(userId));
+    await rollupService.rebuild(user._id, resolveTimezone(user));
+    await this.refreshStreaks(user);
+    user.stats.rebuiltAt = new Date();
+    user.stats.version = STATS_VERSION;
+
+    await user.save();
+    return user.stats;
+  }
+
+  // Update stats after a session is created (before = null), edited or
+  // deleted (after = null). Only the subjects the change touched are
+  // re-aggregated.
+  async applySessionChange(userId, before, after) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) return;
+
+      // Legacy counters can't be patched reliably, so start from scratch
+      if (user.stats.version !== STATS_VERSION) {
+        await this.rebuild(userId);
+        return;
+      }
+
+      const touched = [
+        ...new Set([before?.subject, after?.subject].filter(Boolean)),
+      ];
+      const fresh = await this.aggregateSubjects(userId, touched);
+
+      const subjects = (user.stats.subjects || [])
+        .map((s) => ({ name: s.name, time: s.time, sessions: s.sessions }))
+        .filter((s) => !touched.includes(s.name))
+        .concat(fresh)
+        .sort((a, b) => b.time - a.time);
+
+      this.setTotals(user, subjects);
+
+      const timezone = resolveTimezone(user);
+      const days = [before, after]
+        .filter(Boolean)
+        .map((session) => toDayKey(session.startTime, timezone));
+      await rollupService.refreshDays(user._id, [...new Set(days)], timezone);
+      await this.refreshStreaks(user);
+
+      await user.save();
+    } catch (error) {
+      console.error("Apply session change error:", error);
+    }
+  }
+
+  // Stats as returned by the API. The current streak is re-checked against
+  // today so a missed day shows up without waiting for the next session.
+  async getStats(userId) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    // Users from before the stats engine get their counters rebuilt once
+    let stats;
+    if (user.stats.version === STATS_VERSION) {
+      // Rollups only change through this service, which re-walks streaks
+      // as it goes, so a read only has to catch up once the day turns over:
+      // missed days and spent freezes only show up when re-walked
+      const todayKey = toDayKey(new Date(), resolveTimezone(user));
+      if (user.stats.streaksCheckedDay !== todayKey) {
+        await this.refreshStreaks(user);
+        if (user.isModified()) await user.save();
+      }
+      stats = user.stats;
+    } else {
+      stats = await this.rebuild(userId);
+    }
+
+    return {
+      totalStudyTime: stats.totalStudyTime || 0,
+      totalStudyHours: stats.totalStudyHours || 0,
+      totalSessions: stats.totalSessions || 0,
+      subjectsStudied: stats.subjectsStudied || [],
+      subjects: stats.subjects || [],
+      currentStreak: stats.currentStreak || 0,
+      highestStreak: stats.highestStreak || 0,
+      lastStudyDate: stats.lastStudyDate || null,
+      streakFreezes: stats.streakFreezes || 0,
+    };
+  }
+
+  // Minutes and sessions for every day between two day keys, with an
+  // intensity level from 0 (none) to 4 relative to the busiest day
+  async getHeatmap(userId, { startKey, endKey, subject, timezone }) {
+    const match = {
+      userId: this.toObjectId(userId),
+      startTime: {
+        $gte: startOfDay(startKey, timezone),
+        $lt: startOfDay(shiftDayKey(endKey, 1), timezone),
+      },
+    };
+    if (subject) match.subject = subject;
+
+    const rows = await StudySession.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: "$startTime",
+              timezone,
+            },
+          },
+          time: { $sum: "$actualTime" },
+          sessions: { $sum: 1 },
+        },
+      },
+    ]);
+
+    const byDay = new Map(rows.map((row) => [row._id, row]));
+    const maxMinutes = rows.reduce(
+      (max, row) => Math.max(max, Math.round(row.time / 60)),
+      0
+    );
+
+    const days = [];
+    for (let dayKey = startKey; dayKey <= endKey; dayKey = shiftDayKey(dayKey, 1)) {
+      const row = byDay.get(dayKey);
+      const minutes = row ? Math.round(row.time / 60) : 0;
+      days.push({
+        date: dayKey,
+        minutes,
+        sessions: row?.sessions || 0,
+        level:
+          minutes > 0 && maxMinutes > 0
+            ? Math.max(1, Math.ceil((minutes / maxMinutes) * HEATMAP_LEVELS))
+            : 0,
+      });
+    }
+
+    return {
+      startDate: startKey,
+      endDate: endKey,
+      subject: subject || null,
+      maxMinutes,
+      totalMinutes: days.reduce((sum, day) => sum + day.minutes, 0),
+      activeDays: days.filter((day) => day.sessions > 0).length,
+      days,
+    };
+  }
+
+  // Streak summary with every past and current streak, newest first
+  // Days between two keys that count towards a streak under the user's
+  // rules, oldest first: { date } for each qualifying day and
+  // { date, frozen: true } for each missed day a freeze covered
+  async getStreakDays(userId, { startKey, endKey }) {
+    await this.getStats(userId); // brings the streak walk up to today
+    const user = await User.findById(userId).select("stats.streakHistory preferences");
+    const { minSeconds } = this.getStreakRules(user);
+    const days = await rollupService.getRange(user._id, { startKey, endKey });
+
+    const frozen = (user.stats.streakHistory || [])
+      .flatMap((streak) => streak.frozenDays || [])
+      .filter((date) => date >= startKey && date <= endKey)
+      .map((date) => ({ date, frozen: true }));
+
+    return days
+      .filter((day) => day.totalTime >= minSeconds)
+      .map((day) => ({ date: day.date }))
+      .concat(frozen)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  async getStreakHistory(userId) {
+    const stats = await this.getStats(userId);
+    const user = await User.findById(userId).select("stats.streakHistory preferences");
+
+    return {
+      currentStreak: stats.currentStreak,
+      highestStreak: stats.highestStreak,
+      streakFreezes: stats.streakFreezes,
+      maxFreezes: MAX_FREEZES,
+      freezeEarnEvery: FREEZE_EARN_EVERY,
+      rules: user.preferences?.streakRules,
+      history: [...(user.stats.streakHistory || [])].reverse(),
+    };
+  }
+
+  // Per-day totals with a per-subject split, oldest first, read from the
+  // daily rollups so any range is complete
+  async getDailyStats(
+    userId,
+    { start, end, subject, timezone = SERVER_TIMEZONE } = {}
+  ) {
+    return rollupService.getRange(this.toObjectId(userId), {
+      startKey: start && toDayKey(start, timezone),
+      endKey: end && toDayKey(end, timezone),
+      subject,
+    });
+  }
+}
+
+export default new StatsService();
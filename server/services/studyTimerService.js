@@ -0,0 +1,51 @@
+import UserStudyState from "../models/UserStudyState.js";
+
+class StudyTimerService {
+  // Tell every device of the user about interval phase changes
+  emitPhaseTransitions(io, session, transitions) {
+    if (!io || transitions.length === 0) return;
+
+    transitions.forEach((transition) => {
+      io.to(`user:${session.userId}`).emit("study:phase_changed", {
+        sessionId: session.sessionId,
+        subject: session.subject,
+        from: transition.from,
+        to: transition.to,
+        completedIntervals: transition.completedIntervals,
+        totalIntervals: session.interval.totalIntervals,
+        phaseDeadline: session.interval.phaseDeadline,
+        timestamp: transition.at,
+      });
+    });
+  }
+
+  // Advance a loaded session to the current phase and persist it if it moved
+  async advance(io, session, now = new Date()) {
+    const transitions = session.advancePhases(now);
+    if (transitions.length > 0) {
+      await session.save();
+      this.emitPhaseTransitions(io, session, transitions);
+    }
+    return transitions;
+  }
+
+  // Advance every running interval session whose phase deadline has passed
+  async advanceDueSessions(io) {
+    try {
+      const now = new Date();
+      const dueSessions = await UserStudyState.find({
+        mode: "interval",
+        status: "active",
+        "interval.phaseDeadline": { $lte: now },
+      });
+
+      for (const session of dueSessions) {
+        await this.advance(io, session, now);
+      }
+    } catch (error) {
+      console.error("Error advancing interval sessions:", error);
+    }
+  }
+}
+
+export default new StudyTimerService();
@@ -0,0 +1,196 @@
+import mongoose from "mongoose";
+import Subject from "../models/Subject.js";
+import StudySession from "../models/StudySession.js";
+import UserStudyState from "../models/UserStudyState.js";
+import Note from "../models/Note.js";
+import CalendarEvent from "../models/CalendarEvent.js";
+import Goal from "../models/Goal.js";
+import Timetable from "../models/Timetable.js";
+import statsService from "./statsService.js";
+
+// Models with a top-level subject/subjectId pair
+const SUBJECT_MODELS = [StudySession, UserStudyState, Note, CalendarEvent, Goal];
+
+const DAYS = [
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+  "sunday",
+];
+
+// Subject strings are kept on every record as a display copy of the name;
+// subjectId is the real reference.
+class SubjectService {
+  displayName(name) {
+    return String(name || "")
+      .trim()
+      .replace(/\s+/g, " ");
+  }
+
+  // Look up a subject by id or name without creating anything
+  async find(userId, name, subjectId) {
+    if (subjectId && mongoose.isValidObjectId(subjectId)) {
+      const subject = await Subject.findOne({ _id: subjectId, userId });
+      if (subject) return subject;
+    }
+
+    const normalizedName = Subject.normalize(name);
+    if (!normalizedName) return null;
+    return Subject.findOne({ userId, normalizedName });
+  }
+
+  // Find the user's subject by id or name, creating it from the name if it
+  // does not exist yet. Returns null when neither is given.
+  async resolve(userId, name, subjectId) {
+    if (subjectId && mongoose.isValidObjectId(subjectId)) {
+      const subject = await Subject.findOne({ _id: subjectId, userId });
+      if (subject) return subject;
+    }
+
+    const normalizedName = Subject.normalize(name);
+    if (!normalizedName) return null;
+
+    return Subject.findOneAndUpdate(
+      { userId, normalizedName },
+      { $setOnInsert: { name: this.displayName(name) } },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Resolve the subject of every slot in a day-wise schedule in place
+  async resolveSchedule(userId, schedule) {
+    for (const day of DAYS) {
+      for (const slot of schedule[day] || []) {
+        const subject = await this.resolve(userId, slot.subject, slot.subjectId);
+        if (subject) {
+          slot.subject = subject.name;
+          slot.subjectId = subject._id;
+        }
+      }
+    }
+    return schedule;
+  }
+
+  // Point every record of oldId at the given subject and name
+  async rewriteHistory(userId, oldId, subject) {
+    const filter = { userId, subjectId: oldId };
+    const update = { subject: subject.name, subjectId: subject._id };
+
+    await Promise.all(
+      SUBJECT_MODELS.map((Model) => Model.updateMany(filter, update))
+    );
+
+    const set = {};
+    DAYS.forEach((day) => {
+      set[`schedule.${day}.$[slot].subject`] = subject.name;
+      set[`schedule.${day}.$[slot].subjectId`] = subject._id;
+    });
+    await Timetable.updateMany(
+      { userId },
+      { $set: set },
+      { arrayFilters: [{ "slot.subjectId": oldId }] }
+    );
+
+    // Per-subject stats and rollups are keyed by name
+    await statsService.rebuild(userId);
+  }
+
+  async rename(userId, subject, newName) {
+    const normalizedName = Subject.normalize(newName);
+    const clash = await Subject.findOne({
+      userId,
+      normalizedName,
+      _id: { $ne: subject._id },
+    });
+    if (clash) {
+      return { conflict: clash };
+    }
+
+    subject.name = this.displayName(newName);
+    subject.normalizedName = normalizedName;
+    await subject.save();
+    await this.rewriteHistory(userId, subject._id, subject);
+
+    return { subject };
+  }
+
+  // Fold source into target and delete source
+  async merge(userId, source, target) {
+    await this.rewriteHistory(userId, source._id, target);
+    await source.deleteOne();
+    return target;
+  }
+
+  // Create Subject documents for a user's free-text subjects, merging
+  // variants that only differ by case or spacing, and link every record
+  async migrateUser(userId) {
+    const objectId = new mongoose.Types.ObjectId(String(userId));
+
+    // How often each raw string is used, so the common spelling wins
+    const counts = new Map();
+    const count = (name, n = 1) => {
+      if (!name || !Subject.normalize(name)) return;
+      counts.set(name, (counts.get(name) || 0) + n);
+    };
+
+    for (const Model of SUBJECT_MODELS) {
+      const rows = await Model.aggregate([
+        { $match: { userId: objectId, subject: { $type: "string" } } },
+        { $group: { _id: "$subject", n: { $sum: 1 } } },
+      ]);
+      rows.forEach((row) => count(row._id, row.n));
+    }
+
+    const timetables = await Timetable.find({ userId });
+    timetables.forEach((timetable) =>
+      DAYS.forEach((day) =>
+        (timetable.schedule?.[day] || []).forEach((slot) => count(slot.subject))
+      )
+    );
+
+    // normalized name -> raw variants, most used first
+    const groups = new Map();
+    [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([raw]) => {
+        const key = Subject.normalize(raw);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(raw);
+      });
+
+    for (const variants of groups.values()) {
+      const subject = await this.resolve(userId, variants[0]);
+
+      await Promise.all(
+        SUBJECT_MODELS.map((Model) =>
+          Model.updateMany(
+            { userId, subject: { $in: variants } },
+            { subject: subject.name, subjectId: subject._id }
+          )
+        )
+      );
+
+      for (const timetable of timetables) {
+        let changed = false;
+        DAYS.forEach((day) =>
+          (timetable.schedule?.[day] || []).forEach((slot) => {
+            if (variants.includes(slot.subject)) {
+              slot.subject = subject.name;
+              slot.subjectId = subject._id;
+              changed = true;
+            }
+          })
+        );
+        if (changed) await timetable.save();
+      }
+    }
+
+    await statsService.rebuild(userId);
+    return groups.size;
+  }
+}
+
+export default new SubjectService();
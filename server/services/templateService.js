@@ -0,0 +1,73 @@
+import { v4 as uuidv4 } from "uuid";
+import TimetableTemplate from "../models/TimetableTemplate.js";
+import { DAYS } from "../utils/schedule.js";
+
+export const GALLERY_PAGE_SIZE = 20;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Shareable read-only copies of timetables
+class TemplateService {
+  // Slots by subject name only; ids belong to the author
+  templateSchedule(schedule) {
+    return Object.fromEntries(
+      DAYS.map((day) => [
+        day,
+        (schedule?.[day] || []).map(({ time, subject, duration }) => ({
+          time,
+          subject,
+          duration,
+        })),
+      ])
+    );
+  }
+
+  share(timetable, { name, description, isPublic = false } = {}) {
+    return TimetableTemplate.create({
+      userId: timetable.userId,
+      timetableId: timetable._id,
+      name: name?.trim() || timetable.name,
+      description:
+        description === undefined ? timetable.description || "" : description?.trim() || "",
+      schedule: this.templateSchedule(timetable.schedule),
+      shareToken: uuidv4().replace(/-/g, ""),
+      isPublic: !!isPublic,
+    });
+  }
+
+  findByToken(shareToken) {
+    return TimetableTemplate.findOne({ shareToken }).populate("userId", "name");
+  }
+
+  async gallery({ search, sort = "popular", page = 1 } = {}) {
+    const query = { isPublic: true };
+    if (search?.trim()) {
+      query.name = { $regex: escapeRegex(search.trim()), $options: "i" };
+    }
+
+    const skip = (Math.max(1, parseInt(page) || 1) - 1) * GALLERY_PAGE_SIZE;
+    const [templates, total] = await Promise.all([
+      TimetableTemplate.find(query)
+        .sort(sort === "recent" ? { createdAt: -1 } : { cloneCount: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(GALLERY_PAGE_SIZE)
+        .populate("userId", "name"),
+      TimetableTemplate.countDocuments(query),
+    ]);
+
+    return {
+      templates: templates.map((template) => template.toPublicJSON()),
+      total,
+      pageSize: GALLERY_PAGE_SIZE,
+    };
+  }
+
+  recordClone(template) {
+    return TimetableTemplate.updateOne(
+      { _id: template._id },
+      { $inc: { cloneCount: 1 } }
+    );
+  }
+}
+
+export default new TemplateService();
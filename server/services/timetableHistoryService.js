@@ -0,0 +1,306 @@
+import mongoose from "mongoose";
+import Timetable from "../models/Timetable.js";
+import TimetableRevision from "../models/TimetableRevision.js";
+import TimetableActivation from "../models/TimetableActivation.js";
+import subjectService from "./subjectService.js";
+import { DAYS } from "../utils/schedule.js";
+import { startOfDay, shiftDayKey } from "../utils/timezone.js";
+
+const SLOT_FIELDS = ["time", "subject", "duration"];
+
+const plainSlot = (slot) => ({
+  _id: slot._id,
+  time: slot.time,
+  subject: slot.subject,
+  subjectId: slot.subjectId || null,
+  duration: slot.duration,
+});
+
+const sameSlot = (a, b) => SLOT_FIELDS.every((field) => a[field] === b[field]);
+
+// Revisions and activation history of timetables
+class TimetableHistoryService {
+  snapshot(timetable) {
+    const doc = timetable.toObject ? timetable.toObject() : timetable;
+    return {
+      name: doc.name,
+      description: doc.description || "",
+      schedule: Object.fromEntries(
+        DAYS.map((day) => [day, (doc.schedule?.[day] || []).map(plainSlot)])
+      ),
+      overrides: (doc.overrides || []).map((override) => ({ ...override })),
+    };
+  }
+
+  // Field, slot and override changes between two snapshots
+  diff(before, after) {
+    const fields = ["name", "description"]
+      .filter((field) => (before[field] || "") !== (after[field] || ""))
+      .map((field) => ({ field, before: before[field], after: after[field] }));
+
+    const slots = [];
+    DAYS.forEach((day) => {
+      const previous = [...(before.schedule?.[day] || [])];
+      const current = [...(after.schedule?.[day] || [])];
+
+      // Match by id first, then treat identical slots with new ids as kept
+      const unmatched = [];
+      current.forEach((slot) => {
+        const index = previous.findIndex((p) => String(p._id) === String(slot._id));
+        if (index === -1) {
+          unmatched.push(slot);
+          return;
+        }
+        const [old] = previous.splice(index, 1);
+        if (!sameSlot(old, slot)) {
+          slots.push({
+            day,
+            change: "changed",
+            slotId: slot._id,
+            before: plainSlot(old),
+            after: plainSlot(slot),
+          });
+        }
+      });
+      unmatched.forEach((slot) => {
+        const index = previous.findIndex((p) => sameSlot(p, slot));
+        if (index !== -1) {
+          previous.splice(index, 1);
+          return;
+        }
+        slots.push({ day, change: "added", slotId: slot._id, after: plainSlot(slot) });
+      });
+      previous.forEach((slot) =>
+        slots.push({ day, change: "removed", slotId: slot._id, before: plainSlot(slot) })
+      );
+    });
+
+    const beforeIds = new Set((before.overrides || []).map((o) => String(o._id)));
+    const afterIds = new Set((after.overrides || []).map((o) => String(o._id)));
+    const overrides = {
+      added: (after.overrides || []).filter((o) => !beforeIds.has(String(o._id))),
+      removed: (before.overrides || []).filter((o) => !afterIds.has(String(o._id))),
+    };
+
+    return { fields, slots, overrides };
+  }
+
+  latest(timetableId) {
+    return TimetableRevision.findOne({ timetableId }).sort({ version: -1 });
+  }
+
+  // Timetables from before revisions existed get their current state saved
+  // as version 1 before the first change
+  async ensureBaseline(timetable) {
+    if (await TimetableRevision.exists({ timetableId: timetable._id })) return;
+
+    await TimetableRevision.create({
+      userId: timetable.userId,
+      timetableId: timetable._id,
+      version: 1,
+      action: "create",
+      snapshot: this.snapshot(timetable),
+    });
+  }
+
+  async record(timetable, action, { restoredFrom = null } = {}) {
+    const previous = await this.latest(timetable._id);
+    const snapshot = this.snapshot(timetable);
+
+    return TimetableRevision.create({
+      userId: timetable.userId,
+      timetableId: timetable._id,
+      version: (previous?.version || 0) + 1,
+      action,
+      snapshot,
+      diff: previous ? this.diff(previous.snapshot, snapshot) : null,
+      restoredFrom,
+    });
+  }
+
+  async listRevisions(userId, timetableId) {
+    return TimetableRevision.find({ userId, timetableId })
+      .select("-snapshot")
+      .sort({ version: -1 });
+  }
+
+  getRevision(userId, timetableId, revisionId) {
+    return TimetableRevision.findOne({ _id: revisionId, userId, timetableId });
+  }
+
+  // Put a timetable back to a revision's state, recreating it with the
+  // same id if it was deleted. Restoring is itself a new revision.
+  async restore(userId, revision) {
+    // Work on a copy; mongoose casts the ids back
+    const { name, description, schedule, overrides } = JSON.parse(
+      JSON.stringify(revision.snapshot)
+    );
+    const state = {
+      name,
+      description,
+      // Subjects may have been renamed or merged since
+      schedule: await subjectService.resolveSchedule(userId, schedule),
+      overrides,
+    };
+
+    let timetable = await Timetable.findOne({ _id: revision.timetableId, userId });
+    if (timetable) {
+      await this.ensureBaseline(timetable);
+      timetable.set(state);
+    } else {
+      timetable = new Timetable({
+        _id: revision.timetableId,
+        userId,
+        ...state,
+        isActive: false,
+      });
+    }
+
+    await timetable.save();
+    await this.record(timetable, "restore", { restoredFrom: revision.version });
+    return timetable;
+  }
+
+  // Timetables whose latest revision is a deletion, so they can be restored
+  async listDeleted(userId) {
+    const existing = await Timetable.distinct("_id", { userId });
+    return TimetableRevision.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(String(userId)),
+          action: "delete",
+          timetableId: { $nin: existing },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: "$timetableId",
+          name: { $first: "$snapshot.name" },
+          version: { $first: "$version" },
+          deletedAt: { $first: "$createdAt" },
+        },
+      },
+      { $sort: { deletedAt: -1 } },
+      { $project: { _id: 0, timetableId: "$_id", name: 1, version: 1, deletedAt: 1 } },
+    ]);
+  }
+
+  // Close the user's open activation and open one for this timetable
+  async activate(timetable, at = new Date()) {
+    await TimetableActivation.updateMany(
+      { userId: timetable.userId, deactivatedAt: null },
+      { deactivatedAt: at }
+    );
+    return TimetableActivation.create({
+      userId: timetable.userId,
+      timetableId: timetable._id,
+      name: timetable.name,
+      activatedAt: at,
+    });
+  }
+
+  async deactivate(userId, timetableId, at = new Date()) {
+    await TimetableActivation.updateMany(
+      { userId, timetableId, deactivatedAt: null },
+      { deactivatedAt: at }
+    );
+  }
+
+  async listActivations(userId, { start, end } = {}) {
+    const query = { userId };
+    if (end) query.activatedAt = { $lt: end };
+    if (start) query.$or = [{ deactivatedAt: null }, { deactivatedAt: { $gt: start } }];
+    return TimetableActivation.find(query).sort({ activatedAt: -1 });
+  }
+
+  // The timetable in force at a moment, as it was then:
+  // { timetableId, name, activatedAt, snapshot } or null
+  async getInForce(userId, at = new Date()) {
+    const activation = await TimetableActivation.findOne({
+      userId,
+      activatedAt: { $lte: at },
+      $or: [{ deactivatedAt: null }, { deactivatedAt: { $gt: at } }],
+    }).sort({ activatedAt: -1 });
+    if (!activation) return null;
+
+    const revision = await TimetableRevision.findOne({
+      timetableId: activation.timetableId,
+      createdAt: { $lte: at },
+    }).sort({ version: -1 });
+
+    let snapshot = revision?.snapshot;
+    if (!snapshot) {
+      const timetable = await Timetable.findById(activation.timetableId);
+      if (!timetable) return null;
+      snapshot = this.snapshot(timetable);
+    }
+
+    return {
+      timetableId: activation.timetableId,
+      name: snapshot.name,
+      activatedAt: activation.activatedAt,
+      snapshot,
+    };
+  }
+
+  // Timetable in force on each day (as of the end of the day, or now for
+  // today). Returns null when the user has no activation history, and marks
+  // days before it `untracked`, so callers can fall back to the currently
+  // active timetable.
+  async getInForceByDay(userId, startKey, endKey, timezone, now = new Date()) {
+    const first = await TimetableActivation.findOne({ userId })
+      .sort({ activatedAt: 1 })
+      .select("activatedAt");
+    if (!first) return null;
+
+    const days = [];
+    let cached = null;
+    for (let date = startKey; date <= endKey; date = shiftDayKey(date, 1)) {
+      const dayEnd = startOfDay(shiftDayKey(date, 1), timezone);
+      const at = new Date(Math.min(dayEnd.getTime() - 1, now.getTime()));
+
+      // Nothing was logged before the first activation
+      if (dayEnd <= first.activatedAt) {
+        days.push({ date, inForce: null, untracked: true });
+        continue;
+      }
+
+      // Consecutive days usually share a timetable; only look up again
+      // once something changed after the last lookup
+      if (!cached || cached.validUntil <= at) {
+        const [inForce, validUntil] = await Promise.all([
+          this.getInForce(userId, at),
+          this.nextChangeAfter(userId, at),
+        ]);
+        cached = { inForce, validUntil };
+      }
+      days.push({ date, inForce: cached.inForce });
+    }
+    return days;
+  }
+
+  // When the in-force timetable or its content may next change
+  async nextChangeAfter(userId, at) {
+    const [activation, deactivation, revision] = await Promise.all([
+      TimetableActivation.findOne({ userId, activatedAt: { $gt: at } })
+        .sort({ activatedAt: 1 })
+        .select("activatedAt"),
+      TimetableActivation.findOne({ userId, deactivatedAt: { $gt: at } })
+        .sort({ deactivatedAt: 1 })
+        .select("deactivatedAt"),
+      TimetableRevision.findOne({ userId, createdAt: { $gt: at } })
+        .sort({ createdAt: 1 })
+        .select("createdAt"),
+    ]);
+
+    const times = [
+      activation?.activatedAt,
+      deactivation?.deactivatedAt,
+      revision?.createdAt,
+    ].filter(Boolean);
+    return times.length ? new Date(Math.min(...times)) : new Date(8.64e15);
+  }
+}
+
+export default new TimetableHistoryService();
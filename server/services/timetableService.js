@@ -0,0 +1,625 @@
+import Subject from "../models/Subject.js";
+import subjectService from "./subjectService.js";
+import recurrenceService from "./recurrenceService.js";
+import {
+  resolveTimezone,
+  toDayKey,
+  shiftDayKey,
+  weekdayOfDayKey,
+  eventDayRange,
+} from "../utils/timezone.js";
+import { DAYS, parseTime, formatTime } from "../utils/schedule.js";
+
+// Calendar events that block time; study sessions and reminders don't
+export const BUSY_EVENT_TYPES = ["exam", "other"];
+
+// How far ahead timetable slots are checked against calendar events
+const EVENT_HORIZON_DAYS = 28;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Generator settings
+const DEFAULT_SLOT_MINUTES = 60;
+const DEFAULT_BREAK_MINUTES = 10;
+const EXAM_HORIZON_DAYS = 28;
+// An exam tomorrow doubles its subject's share; one a month out barely moves it
+const EXAM_BOOST = 1;
+const PRIORITY_WEIGHTS = { low: 1, medium: 2, high: 3 };
+
+const overlaps = (a, b) => a.start < b.end && a.end > b.start;
+
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+export const MAX_RESOLVE_DAYS = 92;
+
+class TimetableService {
+  // Normalize client input into the day-wise schedule format. Slots without
+  // a time or subject are dropped, as before.
+  sanitizeSchedule(schedule = {}) {
+    const sanitized = {};
+    for (const day of DAYS) {
+      sanitized[day] = Array.isArray(schedule[day])
+        ? schedule[day]
+            .map((slot) => ({
+              ...(slot._id && { _id: slot._id }),
+              time: String(slot.time || "").trim(),
+              subject: slot.subject?.trim() || "",
+              subjectId: slot.subjectId,
+              duration:
+                slot.duration === undefined || slot.duration === ""
+                  ? 60
+                  : Number(slot.duration),
+            }))
+            .filter((slot) => slot.time && slot.subject)
+        : [];
+    }
+    return sanitized;
+  }
+
+  // Slots sent without an _id take the id of the same slot (day, time and
+  // subject) in the stored schedule, so date overrides keep pointing at it
+  carrySlotIds(previous, schedule) {
+    for (const day of DAYS) {
+      const slots = schedule[day] || [];
+      const sent = new Set(slots.filter((slot) => slot._id).map((slot) => String(slot._id)));
+      const unclaimed = (previous?.[day] || []).filter((slot) => !sent.has(String(slot._id)));
+
+      slots.forEach((slot) => {
+        if (slot._id) return;
+        const index = unclaimed.findIndex(
+          (old) => old.time === slot.time && old.subject === slot.subject
+        );
+        if (index === -1) return;
+        slot._id = unclaimed[index]._id;
+        unclaimed.splice(index, 1);
+      });
+    }
+    return schedule;
+  }
+
+  // Overrides still pointing at a slot of the schedule; cancels and moves
+  // of slots that are gone would otherwise be silently ignored
+  liveOverrides(overrides = [], schedule) {
+    return overrides.filter(
+      (override) =>
+        !override.slotId ||
+        (schedule?.[weekdayOfDayKey(override.date)] || []).some(
+          (slot) => String(slot._id) === String(override.slotId)
+        )
+    );
+  }
+
+  describeSlot(day, slot) {
+    return `${day} ${slot.time} ${slot.subject}`;
+  }
+
+  // Problems with the schedule itself: bad times, bad durations, slots
+  // running past midnight and slots overlapping on the same day
+  findScheduleErrors(schedule) {
+    const errors = [];
+
+    for (const day of DAYS) {
+      const ranges = [];
+
+      (schedule[day] || []).forEach((slot, index) => {
+        const at = { day, index, time: slot.time, subject: slot.subject };
+        const start = parseTime(slot.time);
+
+        if (start === null) {
+          errors.push({
+            type: "invalid_time",
+            ...at,
+            message: `"${slot.time}" is not a valid HH:MM time`,
+          });
+          return;
+        }
+        if (!Number.isInteger(slot.duration) || slot.duration < 1) {
+          errors.push({
+            type: "invalid_duration",
+            ...at,
+            message: "Duration must be a whole number of minutes, at least 1",
+          });
+          return;
+        }
+
+        const end = start + slot.duration;
+        if (end > MINUTES_PER_DAY) {
+          errors.push({
+            type: "past_midnight",
+            ...at,
+            message: `${this.describeSlot(day, slot)} runs ${end - MINUTES_PER_DAY} min past midnight`,
+          });
+          return;
+        }
+
+        ranges.push({ start, end, index, slot });
+      });
+
+      ranges.sort((a, b) => a.start - b.start);
+      for (let i = 1; i < ranges.length; i++) {
+        // Compare with every earlier slot still running, not just the last
+        for (let j = i - 1; j >= 0; j--) {
+          if (!overlaps(ranges[j], ranges[i])) continue;
+          errors.push({
+            type: "overlap",
+            day,
+            index: ranges[i].index,
+            time: ranges[i].slot.time,
+            subject: ranges[i].slot.subject,
+            with: {
+              index: ranges[j].index,
+              time: ranges[j].slot.time,
+              subject: ranges[j].slot.subject,
+            },
+            message: `${this.describeSlot(day, ranges[i].slot)} overlaps ${ranges[j].slot.time} ${ranges[j].slot.subject}`,
+          });
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  // Timed busy events between two day keys (inclusive), with recurring
+  // events expanded
+  async getBusyEvents(userId, startKey, endKey) {
+    const events = await recurrenceService.findOccurrences(userId, startKey, endKey, {
+      type: { $in: BUSY_EVENT_TYPES },
+    });
+
+    return events
+      .map((event) => ({
+        event,
+        dayKey: event.date.toISOString().split("T")[0],
+        start: parseTime(event.startTime),
+        end: parseTime(event.endTime),
+      }))
+      .filter(({ start, end }) => start !== null && end !== null && end > start);
+  }
+
+  // Slots that collide with upcoming exams and other fixed events
+  async findEventConflicts(user, schedule, now = new Date()) {
+    const todayKey = toDayKey(now, resolveTimezone(user));
+    const busy = await this.getBusyEvents(
+      user._id,
+      todayKey,
+      shiftDayKey(todayKey, EVENT_HORIZON_DAYS - 1)
+    );
+
+    const conflicts = [];
+    busy.forEach(({ event, dayKey, start, end }) => {
+      const day = weekdayOfDayKey(dayKey);
+      (schedule[day] || []).forEach((slot, index) => {
+        const slotStart = parseTime(slot.time);
+        if (slotStart === null) return;
+
+        const slotRange = { start: slotStart, end: slotStart + slot.duration };
+        if (!overlaps(slotRange, { start, end })) return;
+
+        conflicts.push({
+          type: "event_conflict",
+          day,
+          index,
+          time: slot.time,
+          subject: slot.subject,
+          date: dayKey,
+          event: {
+            _id: event._id,
+            title: event.title,
+            type: event.type,
+            startTime: formatTime(start),
+            endTime: formatTime(end),
+          },
+          message: `${this.describeSlot(day, slot)} clashes with ${event.type} "${event.title}" on ${dayKey} (${formatTime(start)}–${formatTime(end)})`,
+        });
+      });
+    });
+
+    return conflicts;
+  }
+
+  // The slots that actually apply on each day between two keys (inclusive):
+  // the weekly pattern with the timetable's date overrides applied.
+  // Every slot keeps an _id: the pattern slot's, or the override's for
+  // added and moved slots.
+  resolveRange(timetable, startKey, endKey) {
+    const overrides = timetable.overrides || [];
+    const days = [];
+
+    for (let date = startKey; date <= endKey; date = shiftDayKey(date, 1)) {
+      const weekday = weekdayOfDayKey(date);
+      const todays = overrides.filter((o) => o.date === date);
+      const cancelled = todays.some((o) => o.action === "cancel" && !o.slotId);
+      const removed = new Set(
+        todays
+          .filter((o) => o.slotId && (o.action === "cancel" || o.action === "move"))
+          .map((o) => String(o.slotId))
+      );
+
+      const slots = cancelled
+        ? []
+        : (timetable.schedule?.[weekday] || [])
+            .filter((slot) => !removed.has(String(slot._id)))
+            .map((slot) => ({
+              _id: slot._id,
+              time: slot.time,
+              subject: slot.subject,
+              subjectId: slot.subjectId || null,
+              duration: slot.duration,
+              source: "timetable",
+            }));
+
+      overrides
+        .filter((o) => o.action === "add" && o.date === date)
+        .forEach((o) =>
+          slots.push({
+            _id: o._id,
+            time: o.time,
+            subject: o.subject,
+            subjectId: o.subjectId || null,
+            duration: o.duration,
+            source: "added",
+            note: o.note || "",
+          })
+        );
+
+      // Moved slots land on their target date, even from outside the range
+      overrides
+        .filter((o) => o.action === "move" && (o.toDate || o.date) === date)
+        .forEach((o) => {
+          const original = (
+            timetable.schedule?.[weekdayOfDayKey(o.date)] || []
+          ).find((slot) => String(slot._id) === String(o.slotId));
+          if (!original) return;
+
+          slots.push({
+            _id: o._id,
+            time: o.time || original.time,
+            subject: original.subject,
+            subjectId: original.subjectId || null,
+            duration: o.duration || original.duration,
+            source: "moved",
+            movedFrom: { date: o.date, time: original.time, slotId: original._id },
+            note: o.note || "",
+          });
+        });
+
+      slots.sort((a, b) => (parseTime(a.time) ?? 0) - (parseTime(b.time) ?? 0));
+      days.push({
+        date,
+        weekday,
+        cancelled,
+        overrides: todays.map((o) => o._id),
+        slots,
+      });
+    }
+
+    return days;
+  }
+
+  // Check an override before adding it; returns { error } or { override }
+  // with normalized fields
+  prepareOverride(timetable, input) {
+    const { date, action } = input;
+    if (!DAY_KEY.test(date || "")) {
+      return { error: "Date must be in YYYY-MM-DD format" };
+    }
+    if (!["cancel", "move", "add"].includes(action)) {
+      return { error: "Action must be cancel, move or add" };
+    }
+
+    const override = { date, action, note: input.note?.trim() || "" };
+    const weekday = weekdayOfDayKey(date);
+
+    if (action === "cancel" || action === "move") {
+      if (input.slotId) {
+        const slot = (timetable.schedule?.[weekday] || []).find(
+          (s) => String(s._id) === String(input.slotId)
+        );
+        if (!slot) {
+          return { error: `No such slot on ${weekday}s in this timetable` };
+        }
+        const existing = (timetable.overrides || []).find(
+          (o) =>
+            o.date === date &&
+            String(o.slotId) === String(slot._id) &&
+            o.action !== "add"
+        );
+        if (existing) {
+          return { error: "That slot already has an override on this date" };
+        }
+        override.slotId = slot._id;
+      } else if (action === "move") {
+        return { error: "Moving needs the slotId of the slot to move" };
+      }
+    }
+
+    if (action === "move") {
+      if (input.toDate !== undefined && !DAY_KEY.test(input.toDate)) {
+        return { error: "toDate must be in YYYY-MM-DD format" };
+      }
+      override.toDate = input.toDate || date;
+      if (input.time !== undefined) override.time = String(input.time).trim();
+      if (input.duration !== undefined) override.duration = Number(input.duration);
+      if (override.toDate === date && override.time === undefined) {
+        return { error: "Give a new time or date to move the slot to" };
+      }
+    }
+
+    if (action === "add") {
+      if (!input.subject?.trim() && !input.subjectId) {
+        return { error: "Subject is required" };
+      }
+      override.time = String(input.time || "").trim();
+      override.subject = input.subject?.trim() || "";
+      override.subjectId = input.subjectId;
+      override.duration =
+        input.duration === undefined ? 60 : Number(input.duration);
+    }
+
+    return { override };
+  }
+
+  // Bad times or overlaps on the days an override touches, once applied
+  findOverrideErrors(timetable, override) {
+    const dates = [override.date, override.toDate].filter(Boolean);
+    const trial = {
+      schedule: timetable.schedule,
+      overrides: [...(timetable.overrides || []), override],
+    };
+
+    return [...new Set(dates)].flatMap((date) => {
+      const [day] = this.resolveRange(trial, date, date);
+      return this.findScheduleErrors({ [day.weekday]: day.slots }).map(
+        (error) => ({ ...error, date })
+      );
+    });
+  }
+
+  // Free [start, end) minute ranges of a day between the preferred study
+  // hours, minus busy events. Overnight preferences are cut at midnight.
+  freeWindows(preferredHours, busy) {
+    const start = parseTime(preferredHours?.start) ?? parseTime("19:00");
+    let end = parseTime(preferredHours?.end) ?? parseTime("21:00");
+    if (end <= start) end = MINUTES_PER_DAY;
+
+    let windows = [{ start, end }];
+    busy
+      .sort((a, b) => a.start - b.start)
+      .forEach((event) => {
+        windows = windows.flatMap((w) => {
+          if (!overlaps(w, event)) return [w];
+          return [
+            { start: w.start, end: event.start },
+            { start: event.end, end: w.end },
+          ].filter((part) => part.end > part.start);
+        });
+      });
+    return windows;
+  }
+
+  // Cut free windows into study blocks separated by short breaks
+  blocksOf(windows, slotMinutes, breakMinutes) {
+    const blocks = [];
+    windows.forEach((window) => {
+      for (
+        let start = window.start;
+        start + slotMinutes <= window.end;
+        start += slotMinutes + breakMinutes
+      ) {
+        blocks.push(start);
+      }
+    });
+    return blocks;
+  }
+
+  parsePriority(priority) {
+    if (PRIORITY_WEIGHTS[priority]) return PRIORITY_WEIGHTS[priority];
+    const value = Number(priority);
+    return Number.isFinite(value) && value > 0 ? value : PRIORITY_WEIGHTS.medium;
+  }
+
+  // Propose a weekly schedule for the given subjects. Nothing is saved; the
+  // result is meant to be reviewed and then sent to POST /timetables.
+  // input: { subjects: [{ name | subjectId, weeklyHours, priority }],
+  //          slotMinutes, breakMinutes, name }
+  // Without subjects, the user's subjects with a weekly target are used.
+  async generate(user, input = {}, now = new Date()) {
+    const timezone = resolveTimezone(user);
+    const todayKey = toDayKey(now, timezone);
+    const slotMinutes =
+      input.slotMinutes == null ? DEFAULT_SLOT_MINUTES : Number(input.slotMinutes);
+    const breakMinutes =
+      input.breakMinutes == null ? DEFAULT_BREAK_MINUTES : Number(input.breakMinutes);
+    const warnings = [];
+
+    // Slot times are whole minutes
+    if (!Number.isInteger(slotMinutes) || slotMinutes < 15 || slotMinutes > 240) {
+      return { error: "Slot length must be a whole number of minutes from 15 to 240" };
+    }
+    if (!Number.isInteger(breakMinutes) || breakMinutes < 0) {
+      return { error: "Break length must be a whole number of minutes" };
+    }
+
+    let requested = input.subjects;
+    if (!Array.isArray(requested) || requested.length === 0) {
+      const subjects = await Subject.find({
+        userId: user._id,
+        archived: false,
+        weeklyTargetMinutes: { $gt: 0 },
+      });
+      requested = subjects.map((subject) => ({
+        subjectId: subject._id,
+        weeklyHours: subject.weeklyTargetMinutes / 60,
+      }));
+    }
+
+    const subjects = [];
+    for (const entry of requested) {
+      const weeklyMinutes = Math.round(Number(entry.weeklyHours) * 60);
+      if (!Number.isFinite(weeklyMinutes) || weeklyMinutes <= 0) continue;
+
+      // Nothing is created for new names until the timetable is saved
+      const name = entry.name || entry.subject;
+      const subject =
+        (await subjectService.find(user._id, name, entry.subjectId)) ||
+        (Subject.normalize(name) && {
+          _id: null,
+          name: subjectService.displayName(name),
+          normalizedName: Subject.normalize(name),
+        });
+      if (!subject) continue;
+
+      subjects.push({
+        subject,
+        weeklyMinutes,
+        weight: this.parsePriority(entry.priority),
+        exam: null,
+      });
+    }
+    if (subjects.length === 0) {
+      return { error: "Add at least one subject with weekly hours" };
+    }
+
+    // Upcoming exams boost their subject's demand and weight
+    const exams = await recurrenceService.findOccurrences(
+      user._id,
+      todayKey,
+      shiftDayKey(todayKey, EXAM_HORIZON_DAYS - 1),
+      { type: "exam" }
+    );
+
+    exams.forEach((exam) => {
+      const entry = subjects.find((s) =>
+        exam.subjectId && s.subject._id
+          ? String(exam.subjectId) === String(s.subject._id)
+          : Subject.normalize(exam.subject) === s.subject.normalizedName
+      );
+      if (!entry || entry.exam) return;
+
+      const daysUntil = Math.round(
+        (exam.date - eventDayRange(todayKey).start) / (24 * 60 * 60 * 1000)
+      );
+      const boost = 1 + EXAM_BOOST * (1 - daysUntil / EXAM_HORIZON_DAYS);
+      entry.exam = {
+        _id: exam._id,
+        title: exam.title,
+        date: exam.date,
+        daysUntil,
+        boost: Math.round(boost * 100) / 100,
+      };
+      entry.weeklyMinutes = Math.round(entry.weeklyMinutes * boost);
+      entry.weight *= boost;
+    });
+
+    // Free blocks on each study day, avoiding this week's busy events
+    const studyDays = user.preferences?.studyDays?.length
+      ? user.preferences.studyDays
+      : DAYS;
+    const busy = await this.getBusyEvents(
+      user._id,
+      todayKey,
+      shiftDayKey(todayKey, 6)
+    );
+
+    const dayBlocks = {};
+    DAYS.forEach((day) => {
+      dayBlocks[day] = studyDays.includes(day)
+        ? this.blocksOf(
+            this.freeWindows(
+              user.preferences?.preferredStudyHours,
+              busy
+                .filter((b) => weekdayOfDayKey(b.dayKey) === day)
+                .map(({ start, end }) => ({ start, end }))
+            ),
+            slotMinutes,
+            breakMinutes
+          )
+        : [];
+    });
+
+    const capacity = DAYS.reduce((sum, day) => sum + dayBlocks[day].length, 0);
+    subjects.forEach((s) => {
+      s.blocks = Math.max(1, Math.round(s.weeklyMinutes / slotMinutes));
+      s.remaining = s.blocks;
+    });
+
+    const needed = subjects.reduce((sum, s) => sum + s.blocks, 0);
+    if (needed > capacity) {
+      warnings.push(
+        `Requested ${needed} blocks but only ${capacity} fit in your preferred study hours; lower-priority subjects get less time.`
+      );
+    }
+
+    // Round-robin over days so time is spread across the week; each pass
+    // gives every day at most one more block, picking the subject with the
+    // most weighted time left and avoiding back-to-back repeats
+    const schedule = Object.fromEntries(DAYS.map((day) => [day, []]));
+    let assigned = true;
+    while (assigned) {
+      assigned = false;
+      for (const day of DAYS) {
+        const slots = schedule[day];
+        if (slots.length >= dayBlocks[day].length) continue;
+
+        const previous = Subject.normalize(slots[slots.length - 1]?.subject);
+        const candidates = subjects
+          .filter((s) => s.remaining > 0)
+          .sort(
+            (a, b) =>
+              (b.remaining / b.blocks) * b.weight -
+              (a.remaining / a.blocks) * a.weight
+          );
+        const pick =
+          candidates.find((s) => s.subject.normalizedName !== previous) ||
+          candidates[0];
+        if (!pick) continue;
+
+        slots.push({
+          time: formatTime(dayBlocks[day][slots.length]),
+          subject: pick.subject.name,
+          subjectId: pick.subject._id,
+          duration: slotMinutes,
+        });
+        pick.remaining -= 1;
+        assigned = true;
+      }
+    }
+
+    const summary = subjects.map((s) => ({
+      subject: s.subject.name,
+      subjectId: s.subject._id,
+      requestedMinutes: s.weeklyMinutes,
+      scheduledMinutes: (s.blocks - s.remaining) * slotMinutes,
+      priority: Math.round(s.weight * 100) / 100,
+      exam: s.exam,
+    }));
+    summary
+      .filter((s) => s.scheduledMinutes < s.requestedMinutes)
+      .forEach((s) =>
+        warnings.push(
+          `${s.subject}: ${s.scheduledMinutes} of ${s.requestedMinutes} minutes scheduled`
+        )
+      );
+
+    return {
+      timetable: {
+        name: input.name?.trim() || "Generated timetable",
+        description: `Generated ${todayKey} for ${summary.length} subject(s)`,
+        schedule,
+      },
+      summary,
+      capacityMinutes: capacity * slotMinutes,
+      warnings,
+    };
+  }
+
+  // Full report; `valid` is false when the schedule can't be saved at all
+  async validate(user, schedule) {
+    const errors = this.findScheduleErrors(schedule);
+    const eventConflicts = await this.findEventConflicts(user, schedule);
+    return { valid: errors.length === 0, errors, eventConflicts };
+  }
+}
+
+export default new TimetableService();
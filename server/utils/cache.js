@@ -0,0 +1,18 @@
+import { resolveTimezone, toDayKey } from "./timezone.js";
+
+// Redis keys of cached per-user responses
+
+// Keyed by the user's local day so the cache rolls over at their midnight
+export const dashboardCacheKey = (req) =>
+  `dashboard_${req.userId}_${toDayKey(new Date(), resolveTimezone(req.user))}`;
+
+export const timetablesCacheKey = (req) => `timetable_active_${req.userId}`;
+
+// Drop cached responses so changes show up immediately
+export async function invalidateCache(req, ...keys) {
+  try {
+    await req.redis.del(keys);
+  } catch (error) {
+    console.error("Invalidate cache error:", error);
+  }
+}
@@ -0,0 +1,7 @@
+// "2h 15m" style durations from seconds
+export const formatDuration = (seconds) => {
+  const minutes = Math.round((seconds || 0) / 60);
+  const hours = Math.floor(minutes / 60);
+  if (hours === 0) return `${minutes}m`;
+  return minutes % 60 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+};
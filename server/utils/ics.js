@@ -0,0 +1,143 @@
+// Helpers for writing iCalendar (RFC 5545) files
+
+export const ICS_DAYS = {
+  monday: "MO",
+  tuesday: "TU",
+  wednesday: "WE",
+  thursday: "TH",
+  friday: "FR",
+  saturday: "SA",
+  sunday: "SU",
+};
+
+export const escapeIcsText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets continue on the next line after a space
+export const foldIcsLine = (line) => {
+  const parts = [];
+  let current = "";
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// 20240131T120000Z
+export const formatIcsUtc = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// YYYY-MM-DD -> 20240131
+export const formatIcsDate = (dayKey) => dayKey.replace(/-/g, "");
+
+// YYYY-MM-DD + HH:MM -> 20240131T090000, a wall clock time for TZID
+export const formatIcsLocal = (dayKey, time) =>
+  `${formatIcsDate(dayKey)}T${time.replace(":", "")}00`;
+
+// Milliseconds ahead of UTC -> +0530, for TZOFFSETFROM/TO
+export const formatIcsOffset = (offset) => {
+  const minutes = Math.round(Math.abs(offset) / 60000);
+  return `${offset < 0 ? "-" : "+"}${String(Math.floor(minutes / 60)).padStart(
+    2,
+    "0"
+  )}${String(minutes % 60).padStart(2, "0")}`;
+};
+
+// Join lines into a VCALENDAR body with CRLF endings
+export const buildIcs = (lines) =>
+  `${lines.filter(Boolean).map(foldIcsLine).join("\r\n")}\r\n`;
+
+const unescapeIcsText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === "n" ? "\n" : char));
+
+// Unfolded lines longer than this are skipped when reading
+const MAX_ICS_LINE_LENGTH = 32 * 1024;
+
+// Split "NAME;PARAM=a;PARAM2="b:c":value" into its parts in one pass;
+// ";" and ":" inside quotes belong to the parameter value
+const parseIcsLine = (line) => {
+  const parts = [];
+  let start = 0;
+  let index = 0;
+  let quoted = false;
+  while (index < line.length) {
+    const char = line[index];
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === ";" || char === ":")) {
+      parts.push(line.slice(start, index));
+      start = index + 1;
+      if (char === ":") break;
+    }
+    index += 1;
+  }
+  if (index === line.length) parts.push(line.slice(start));
+
+  const [name, ...rawParams] = parts;
+  const params = Object.fromEntries(
+    rawParams.map((param) => {
+      const [key, ...rest] = param.split("=");
+      return [key.toUpperCase(), rest.join("=").replace(/^"|"$/g, "")];
+    })
+  );
+  return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+};
+
+// Read the VEVENTs of an iCalendar file. Each event maps property names to
+// lists of { params, value }; text values are unescaped.
+export const parseIcs = (text) => {
+  const lines = String(text)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter((line) => line && line.length <= MAX_ICS_LINE_LENGTH);
+
+  const calendar = { properties: {}, events: [] };
+  const stack = [];
+  let event = null;
+
+  lines.forEach((line) => {
+    const property = parseIcsLine(line);
+    if (property.name === "BEGIN") {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === "VEVENT") event = {};
+      return;
+    }
+    if (property.name === "END") {
+      if (stack.pop() === "VEVENT" && event) {
+        calendar.events.push(event);
+        event = null;
+      }
+      return;
+    }
+
+    const target =
+      event && stack[stack.length - 1] === "VEVENT"
+        ? event
+        : stack.length === 1 && stack[0] === "VCALENDAR"
+          ? calendar.properties
+          : null;
+    if (!target) return; // VALARM, VTIMEZONE and the like
+
+    const value = ["SUMMARY", "DESCRIPTION", "LOCATION", "CATEGORIES", "UID"].includes(
+      property.name
+    )
+      ? unescapeIcsText(property.value)
+      : property.value;
+    (target[property.name] ||= []).push({ params: property.params, value });
+  });
+
+  return calendar;
+};
@@ -0,0 +1,133 @@
+// Small PDF 1.4 writer for text reports: Helvetica text and filled
+// rectangles on A4 pages. Coordinates are in points from the top-left.
+
+const A4 = { width: 595.28, height: 841.89 };
+
+// Rough Helvetica advance width per character, as a share of font size
+const CHAR_WIDTH = { regular: 0.5, bold: 0.55 };
+
+// Common typographic characters outside Latin-1
+const FALLBACKS = { "\u2013": "-", "\u2014": "-", "\u2018": "'", "\u2019": "'",
+  "\u201c": '"', "\u201d": '"', "\u2026": "...", "\t": " " };
+
+// PDF strings are Latin-1 here; anything else becomes "?"
+const encodeText = (text) =>
+  String(text ?? "")
+    .replace(/[^\x20-\xff]/g, (char) => FALLBACKS[char] ?? "?")
+    .replace(/[\\()]/g, (char) => `\\${char}`);
+
+const toRgb = (hex) => {
+  const value = parseInt(String(hex).replace("#", ""), 16) || 0;
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+    .map((c) => (c / 255).toFixed(3))
+    .join(" ");
+};
+
+export class PdfDocument {
+  constructor({ width = A4.width, height = A4.height } = {}) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  textWidth(text, size = 11, bold = false) {
+    return String(text).length * size * CHAR_WIDTH[bold ? "bold" : "regular"];
+  }
+
+  // Split text into lines no wider than maxWidth
+  wrap(text, maxWidth, size = 11, bold = false) {
+    const lines = [];
+    String(text ?? "")
+      .split(/\r?\n/)
+      .forEach((paragraph) => {
+        let line = "";
+        paragraph.split(/\s+/).forEach((word) => {
+          const next = line ? `${line} ${word}` : word;
+          if (line && this.textWidth(next, size, bold) > maxWidth) {
+            lines.push(line);
+            line = word;
+          } else {
+            line = next;
+          }
+        });
+        lines.push(line);
+      });
+    return lines;
+  }
+
+  // y is the top of the text line
+  text(text, x, y, { size = 11, bold = false, color = "#111827" } = {}) {
+    const baseline = this.height - y - size;
+    this.page.push(
+      `BT ${toRgb(color)} rg /${bold ? "F2" : "F1"} ${size} Tf ` +
+        `${x.toFixed(2)} ${baseline.toFixed(2)} Td (${encodeText(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  rect(x, y, width, height, color = "#E5E7EB") {
+    this.page.push(
+      `${toRgb(color)} rg ${x.toFixed(2)} ${(this.height - y - height).toFixed(2)} ` +
+        `${width.toFixed(2)} ${height.toFixed(2)} re f`
+    );
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pagesRef = add(null);
+    const regular = add(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+    );
+    const bold = add(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+    );
+
+    const pageRefs = this.pages.map((commands) => {
+      const stream = commands.join("\n");
+      const content = add(
+        `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`
+      );
+      return add(
+        `<< /Type /Page /Parent ${pagesRef} 0 R ` +
+          `/MediaBox [0 0 ${this.width} ${this.height}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> ` +
+          `/Contents ${content} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`;
+    objects[pagesRef - 1] =
+      `<< /Type /Pages /Kids [${pageRefs.map((ref) => `${ref} 0 R`).join(" ")}] ` +
+      `/Count ${pageRefs.length} >>`;
+
+    let output = "%PDF-1.4\n";
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, "latin1");
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = Buffer.byteLength(output, "latin1");
+    output +=
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+      offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("") +
+      `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\n` +
+      `startxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(output, "latin1");
+  }
+}
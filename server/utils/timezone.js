@@ -0,0 +1,133 @@
+// Day boundary helpers for per-user IANA timezones. Day keys are
+// YYYY-MM-DD strings of the local calendar date.
+
+export const SERVER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+export const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The user's timezone, or the server's for users who never set one
+export const resolveTimezone = (user) => {
+  const timezone = user?.preferences?.timezone;
+  return isValidTimezone(timezone) ? timezone : SERVER_TIMEZONE;
+};
+
+// Building a formatter is far slower than using one, so keep one per zone
+const formatters = new Map();
+const formatterFor = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timezone);
+};
+
+// Wall clock fields of a moment in a timezone
+export const getZonedParts = (date, timezone) => {
+  const parts = formatterFor(timezone).formatToParts(date);
+
+  const value = (type) => Number(parts.find((p) => p.type === type).value);
+  const year = value("year");
+  const month = value("month");
+  const day = value("day");
+
+  return {
+    year,
+    month,
+    day,
+    hour: value("hour"),
+    minute: value("minute"),
+    second: value("second"),
+    weekday: WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()],
+  };
+};
+
+export const toDayKey = (date, timezone = SERVER_TIMEZONE) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return [year, month, day]
+    .map((n, i) => String(n).padStart(i === 0 ? 4 : 2, "0"))
+    .join("-");
+};
+
+export const shiftDayKey = (dayKey, days) => {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split("T")[0];
+};
+
+// Lowercase weekday name of a day key, e.g. "monday"
+export const weekdayOfDayKey = (dayKey) =>
+  WEEKDAYS[new Date(`${dayKey}T00:00:00Z`).getUTCDay()];
+
+// Milliseconds the timezone is ahead of UTC at a given moment
+export const offsetAt = (timestamp, timezone) => {
+  const p = getZonedParts(new Date(timestamp), timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+// The UTC moment of a local wall clock time ("HH:MM") on a day key
+export const zonedTime = (dayKey, time = "00:00", timezone = SERVER_TIMEZONE) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const wallClock = Date.parse(`${dayKey}T00:00:00Z`) + (hours * 60 + minutes) * 60000;
+
+  // Re-check the offset at the result to land correctly around DST changes
+  let result = wallClock - offsetAt(wallClock, timezone);
+  result = wallClock - offsetAt(result, timezone);
+  return new Date(result);
+};
+
+// Start of a local day as a UTC moment
+export const startOfDay = (dayKey, timezone = SERVER_TIMEZONE) =>
+  zonedTime(dayKey, "00:00", timezone);
+
+// [start, end) of the local day containing a moment
+export const dayRange = (date, timezone = SERVER_TIMEZONE) => {
+  const dayKey = toDayKey(date, timezone);
+  return {
+    dayKey,
+    start: startOfDay(dayKey, timezone),
+    end: startOfDay(shiftDayKey(dayKey, 1), timezone),
+  };
+};
+
+// Calendar events store their date as UTC midnight of the chosen day
+export const eventDayRange = (dayKey) => ({
+  start: new Date(`${dayKey}T00:00:00Z`),
+  end: new Date(`${shiftDayKey(dayKey, 1)}T00:00:00Z`),
+});
+
+// Read a date query parameter: bare YYYY-MM-DD values are local days,
+// anything else is parsed as a full timestamp
+export const parseDayInput = (value, timezone = SERVER_TIMEZONE) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return startOfDay(value, timezone);
+  return new Date(value);
+};